@@ -13,6 +13,60 @@ const MAX_ARENA_RAG_MESSAGES = 200;
 const ARENA_AUTOSAVE_INTERVAL = 2 * 60 * 1000;
 const RAG_CHECKPOINT_SIZE = 30;
 const LOG_STORE_NAME = 'sam-logs';
+const VECTOR_STORE_NAME = 'memory-vectors';
+const LEXICAL_STORE_NAME = 'lexical-index';
+const MESSAGE_STORE_NAME = 'messages';
+// Must match the last entry of DATABASE_MIGRATIONS.
+const DATABASE_VERSION = 4;
+const EMBEDDING_BATCH_SIZE = 32;
+const EMBEDDING_MAX_CHARS = 8000;
+// Cap how many un-embedded memories a single query will embed on the fly.
+const EMBEDDING_BACKFILL_LIMIT = 256;
+// Bump whenever tokenizing, stop words or stemming change so persisted postings get rebuilt.
+const LEXICAL_ANALYZER_VERSION = 1;
+// MMR compares every pair in the pool, so only the strongest candidates are diversified.
+const RANKING_POOL_MIN = 30;
+const RANKING_POOL_MAX = 120;
+// Content is fetched only for the strongest keyword/semantic matches, so a common term cannot turn one query
+// into thousands of IndexedDB reads.
+const RETRIEVAL_RESOLVE_MAX = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Memories longer than this are cut down to the passage that best matches the query.
+const MEMORY_EXCERPT_CHARS = 1200;
+const RETRIEVAL_TRACE_LIMIT = 40;
+const QUERY_REWRITE_MODES = new Set(['off', 'rewrite', 'multi']);
+const QUERY_REWRITE_TURNS = 6;
+const QUERY_REWRITE_MAX_TOKENS = 160;
+const MAX_SUB_QUERIES = 3;
+// Reciprocal rank fusion damping; 60 is the value from the original RRF paper.
+const RRF_K = 60;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here',
+  'hers', 'herself', 'him', 'himself', 'his', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me',
+  'more', 'most', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our',
+  'ours', 'ourselves', 'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the',
+  'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom',
+  'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+const STEM_SUFFIXES = [
+  ['ational', 'ate'],
+  ['ization', 'ize'],
+  ['fulness', 'ful'],
+  ['ousness', 'ous'],
+  ['iveness', 'ive'],
+  ['ingly', ''],
+  ['edly', ''],
+  ['ness', ''],
+  ['ment', ''],
+  ['ing', ''],
+  ['ed', ''],
+  ['ly', '']
+];
 const LOG_STATUS_TIMEOUT = 4500;
 const LOG_EXPORT_PREFIX = 'sam-log';
 const RETRIEVAL_STORAGE_KEY = 'sam-retrieval-metrics';
@@ -27,7 +81,69 @@ const STATIC_RAG_MANIFESTS = [
 const SUPPORTED_RAG_TEXT_FORMATS = new Set(['txt', 'text', 'md', 'markdown']);
 const SUPPORTED_RAG_JSON_FORMATS = new Set(['json', 'jsonl']);
 const SUPPORTED_RAG_BINARY_FORMATS = new Set(['pdf']);
-const PDFJS_CDN_BASE = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.2.67';
+const SUPPORTED_RAG_MARKDOWN_FORMATS = new Set(['md', 'markdown']);
+// Manifest files are split into passages of roughly this size so one hit injects a section, not a document.
+const PASSAGE_TARGET_TOKENS = 350;
+const CHUNK_STRATEGIES = new Set(['auto', 'markdown', 'sentence', 'fixed', 'recursive', 'code']);
+const CODE_FILE_LANGUAGES = {
+  js: 'JavaScript',
+  mjs: 'JavaScript',
+  cjs: 'JavaScript',
+  jsx: 'JavaScript (JSX)',
+  ts: 'TypeScript',
+  tsx: 'TypeScript (TSX)',
+  py: 'Python',
+  rb: 'Ruby',
+  go: 'Go',
+  rs: 'Rust',
+  java: 'Java',
+  kt: 'Kotlin',
+  c: 'C',
+  h: 'C header',
+  cc: 'C++',
+  cpp: 'C++',
+  hpp: 'C++ header',
+  cs: 'C#',
+  php: 'PHP',
+  swift: 'Swift',
+  scala: 'Scala',
+  sh: 'Shell',
+  lua: 'Lua'
+};
+const CODE_FILE_EXTENSIONS = new Set(Object.keys(CODE_FILE_LANGUAGES));
+const RAG_HTML_FORMATS = new Set(['html', 'htm', 'xhtml']);
+const RAG_CSV_FORMATS = new Set(['csv', 'tsv']);
+const HTML_SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'NAV', 'FOOTER', 'ASIDE', 'FORM', 'IFRAME', 'BUTTON']);
+const HTML_BLOCK_TAGS = new Set([
+  'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'LI', 'TR', 'BLOCKQUOTE', 'TABLE', 'UL', 'OL', 'DL', 'DT', 'DD',
+  'FIGURE', 'FIGCAPTION', 'BR', 'HR'
+]);
+// Chunk sizes and overlaps count pre-tokenizer pieces: a word or short number with its leading space, or a run
+// of punctuation. Closer to what BPE models bill than length / 4, and it gives every token an exact offset.
+const CHUNK_TOKEN_PATTERN = /\s*[\p{L}\p{M}]+|\s*\p{N}{1,3}|\s*[^\s\p{L}\p{M}\p{N}]+|\s+/gu;
+const CHUNK_BREAK_FORCED = 255;
+const INGEST_ORIGIN = 'rag-upload';
+const INGEST_FORMATS = new Set([
+  ...SUPPORTED_RAG_TEXT_FORMATS,
+  ...SUPPORTED_RAG_JSON_FORMATS,
+  ...SUPPORTED_RAG_BINARY_FORMATS,
+  ...RAG_HTML_FORMATS,
+  ...RAG_CSV_FORMATS,
+  'docx',
+  'epub',
+  ...CODE_FILE_EXTENSIONS
+]);
+const CODE_DECLARATION_PATTERN =
+  /^(?:export\s+)?(?:default\s+)?(?:async\s+)?(?:function|class|def|fn|func|interface|type|struct|enum|impl|module|const|let|var|public|private|protected|static)\b.*$/gm;
+const MODEL_REQUEST_TIMEOUT = 30000;
+const ANTHROPIC_MIN_THINKING_BUDGET = 1024;
+const MAX_RETRY_DELAY = 60000;
+// Token estimates are rough, so only pack prompts to 95% of the advertised window.
+const CONTEXT_SAFETY_MARGIN = 0.95;
+const MESSAGE_TOKEN_OVERHEAD = 4;
+const SUMMARY_MAX_TOKENS = 400;
+const SUMMARY_BATCH_TOKENS = 6000;
+const RETRYABLE_STATUS_CODES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
 
 const DEFAULT_BACKGROUND =
   'radial-gradient(circle at top, rgba(77, 124, 255, 0.15), transparent 55%), ' +
@@ -40,13 +156,37 @@ const defaultConfig = {
   memoryLimitMB: 500,
   providerPreset: 'custom',
   retrievalCount: 0,
+  retrievalMinScore: 0.3,
+  retrievalTokenBudget: 2000,
+  queryRewriteMode: 'off',
+  rankRecencyWeight: 0.15,
+  rankRecencyHalfLife: 14,
+  rankPinnedBoost: 0.25,
+  rankChatWeight: 1,
+  rankArenaWeight: 1,
+  rankFileWeight: 1,
+  rankUserWeight: 1,
+  rankAssistantWeight: 1,
+  rankDiversity: 0.3,
+  embeddingEndpoint: '',
+  embeddingModel: '',
+  embeddingApiKey: '',
   contextTurns: 12,
+  autoSummarize: true,
   endpoint: 'http://localhost:1234/v1/chat/completions',
   model: 'lmstudio-community/Meta-Llama-3-8B-Instruct',
   apiKey: '',
   systemPrompt: 'You are SAM, a helpful memory-augmented assistant who reflects on long-term memories when they are relevant.',
   temperature: 0.7,
   maxResponseTokens: 512,
+  streamResponses: true,
+  thinkingBudget: 0,
+  modelContextLimits: {},
+  retryAttempts: 2,
+  retryBaseDelay: 1,
+  fallbackPresets: [],
+  agentAFallbackPresets: [],
+  agentBFallbackPresets: [],
   autoSpeak: false,
   ttsPreset: 'browser',
   ttsServerUrl: '',
@@ -78,11 +218,34 @@ const defaultConfig = {
   debugEnabled: false
 };
 
+// Ranking knobs share one shape (clamped number input in the options drawer), so they are bound from this table.
+const RETRIEVAL_RANKING_FIELDS = [
+  { key: 'rankRecencyWeight', element: 'rankRecencyWeightInput', min: 0, max: 2 },
+  { key: 'rankRecencyHalfLife', element: 'rankRecencyHalfLifeInput', min: 0.1, max: 3650 },
+  { key: 'rankPinnedBoost', element: 'rankPinnedBoostInput', min: 0, max: 2 },
+  { key: 'rankChatWeight', element: 'rankChatWeightInput', min: 0, max: 3 },
+  { key: 'rankArenaWeight', element: 'rankArenaWeightInput', min: 0, max: 3 },
+  { key: 'rankFileWeight', element: 'rankFileWeightInput', min: 0, max: 3 },
+  { key: 'rankUserWeight', element: 'rankUserWeightInput', min: 0, max: 3 },
+  { key: 'rankAssistantWeight', element: 'rankAssistantWeightInput', min: 0, max: 3 },
+  { key: 'rankDiversity', element: 'rankDiversityInput', min: 0, max: 1 }
+];
+
 const TEST_TTS_PHRASE = 'This is SAM performing a voice check with persistent memory engaged.';
 const TTS_ERROR_COOLDOWN = 15000;
 const PINNED_STORAGE_KEY = 'sam-pinned-messages';
+const CITATION_STORAGE_KEY = 'sam-memory-citations';
+const CITATION_PATTERN = /\[(m\d+)\]/g;
+// Only the most recently injected memories keep their labels; older chips stop resolving instead of growing
+// the stored map forever. Numbers are never reused.
+const MEMORY_CITATION_LIMIT = 500;
+const MEMORY_CITATION_INSTRUCTION =
+  'Each memory starts with an id such as [m3]. When a memory informs your reply, cite it inline with that id.';
 const RAM_DISK_CHUNK_PREFIX = 'sam-chunked-';
 const RAM_DISK_UNCHUNKED_PREFIX = 'sam-unchunked-';
+// Served by scripts/workspace-api.js while `npm run dev` is running; the token arrives as a meta tag.
+const WORKSPACE_API_BASE = '/__workspace';
+const WORKSPACE_TOKEN_META = 'sam-workspace-token';
 
 const providerPresets = [
   {
@@ -113,7 +276,8 @@ const providerPresets = [
     endpoint: 'http://localhost:11434/v1/chat/completions',
     model: 'tinyllama',
     requiresKey: false,
-    contextLimit: 65536
+    contextLimit: 65536,
+    adapter: 'ollama'
   },
   {
     id: 'openrouter',
@@ -214,7 +378,7 @@ const providerPresets = [
     model: 'claude-3-5-sonnet-20241022',
     requiresKey: true,
     contextLimit: 200000,
-    anthropicFormat: true
+    adapter: 'anthropic'
   },
   {
     id: 'google',
@@ -225,12 +389,218 @@ const providerPresets = [
     model: 'gemini-1.5-pro',
     requiresKey: true,
     contextLimit: 2097152,
-    googleFormat: true
+    adapter: 'google'
   }
 ];
 
 const providerPresetMap = new Map(providerPresets.map((preset) => [preset.id, preset]));
 
+// Provider adapters translate SAM's chat messages to and from each vendor's wire format.
+// Presets name an adapter via `adapter`; anything without one speaks the OpenAI-compatible dialect.
+const providerAdapters = new Map();
+
+registerProviderAdapter({
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  buildRequest({ endpoint, model, apiKey, messages, temperature, maxTokens, stream }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    const body = { model, messages, temperature, stream };
+    if (Number.isFinite(maxTokens) && maxTokens > 0) {
+      body.max_tokens = Math.round(maxTokens);
+    }
+    return { url: endpoint, headers, body };
+  },
+  parseResponse(data) {
+    return data?.choices?.[0]?.message ?? {};
+  },
+  parseStreamEvent(eventName, data) {
+    const delta = { text: '', reasoning: '' };
+    if (data.error) {
+      throw new Error(data.error.message || 'Model stream error');
+    }
+    const choice = data.choices?.[0]?.delta ?? {};
+    if (typeof choice.content === 'string') {
+      delta.text = choice.content;
+    }
+    const reasoning = choice.reasoning_content ?? choice.reasoning;
+    if (typeof reasoning === 'string') {
+      delta.reasoning = reasoning;
+    }
+    return delta;
+  },
+  buildProbeRequest({ endpoint, apiKey }) {
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const modelsUrl = deriveSiblingUrl(endpoint, /\/(chat\/)?completions\/?$/, '/models');
+    return modelsUrl
+      ? { url: modelsUrl, method: 'GET', headers }
+      : { url: endpoint, method: 'OPTIONS', headers };
+  },
+  buildModelsRequest({ endpoint, apiKey }) {
+    const url = deriveSiblingUrl(endpoint, /\/(chat\/)?completions\/?$/, '/models');
+    if (!url) return null;
+    return { url, headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {} };
+  },
+  parseModels(data) {
+    const items = Array.isArray(data?.data) ? data.data : [];
+    return items.map((item) => ({
+      id: item.id,
+      label: item.id,
+      contextLength: item.context_length ?? item.max_context_length ?? item.context_window ?? null
+    }));
+  },
+  normalizeError(status, text) {
+    return formatProviderError(status, text);
+  }
+});
+
+// Ollama chats through its OpenAI-compatible route but lists installed models via the native tags API.
+registerProviderAdapter({
+  ...providerAdapters.get('openai'),
+  id: 'ollama',
+  label: 'Ollama',
+  buildProbeRequest({ endpoint }) {
+    return { method: 'GET', ...this.buildModelsRequest({ endpoint }) ?? { url: endpoint, headers: {} } };
+  },
+  buildModelsRequest({ endpoint }) {
+    try {
+      return { url: new URL('/api/tags', endpoint).toString(), headers: {} };
+    } catch (error) {
+      return null;
+    }
+  },
+  parseModels(data) {
+    const items = Array.isArray(data?.models) ? data.models : [];
+    return items.map((item) => {
+      const size = item.details?.parameter_size;
+      return {
+        id: item.name ?? item.model,
+        label: size ? `${item.name ?? item.model} (${size})` : item.name ?? item.model,
+        contextLength: null
+      };
+    });
+  }
+});
+
+registerProviderAdapter({
+  id: 'anthropic',
+  label: 'Anthropic Messages',
+  buildRequest({ endpoint, model, apiKey, messages, temperature, maxTokens, thinkingBudget, stream }) {
+    return {
+      url: endpoint,
+      headers: { 'Content-Type': 'application/json', ...buildAnthropicHeaders(apiKey) },
+      body: buildAnthropicPayload(messages, { model, maxTokens, temperature, stream, thinkingBudget })
+    };
+  },
+  parseResponse(data) {
+    const blocks = Array.isArray(data.content) ? data.content : [];
+    return {
+      content: blocks
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join(''),
+      reasoning: blocks
+        .filter((block) => block.type === 'thinking')
+        .map((block) => block.thinking)
+        .join('\n\n')
+    };
+  },
+  parseStreamEvent(eventName, data) {
+    const delta = { text: '', reasoning: '' };
+    const type = data.type ?? eventName;
+    if (type === 'error') {
+      throw new Error(data.error?.message || 'Anthropic stream error');
+    }
+    if (type === 'content_block_delta') {
+      if (data.delta?.type === 'text_delta') {
+        delta.text = data.delta.text ?? '';
+      } else if (data.delta?.type === 'thinking_delta') {
+        delta.reasoning = data.delta.thinking ?? '';
+      }
+    }
+    return delta;
+  },
+  buildProbeRequest({ endpoint, apiKey }) {
+    return this.buildModelsRequest({ endpoint, apiKey }) ?? { url: endpoint, method: 'OPTIONS', headers: {} };
+  },
+  buildModelsRequest({ endpoint, apiKey }) {
+    const url = deriveSiblingUrl(endpoint, /\/messages\/?$/, '/models');
+    if (!url) return null;
+    return { url, method: 'GET', headers: buildAnthropicHeaders(apiKey) };
+  },
+  parseModels(data) {
+    const items = Array.isArray(data?.data) ? data.data : [];
+    return items.map((item) => ({ id: item.id, label: item.display_name || item.id, contextLength: null }));
+  },
+  normalizeError(status, text) {
+    return formatProviderError(status, text);
+  }
+});
+
+registerProviderAdapter({
+  id: 'google',
+  label: 'Google Gemini',
+  buildRequest({ endpoint, model, apiKey, messages, temperature, maxTokens, stream }) {
+    // The key travels in a header so it never lands in request logs.
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['x-goog-api-key'] = apiKey;
+    }
+    return {
+      url: stream
+        ? `${endpoint}${model}:streamGenerateContent?alt=sse`
+        : `${endpoint}${model}:generateContent`,
+      headers,
+      body: buildGeminiPayload(messages, { maxTokens, temperature })
+    };
+  },
+  parseResponse(data) {
+    const parts = data.candidates?.[0]?.content?.parts ?? [];
+    return {
+      content: parts.filter((part) => !part.thought).map((part) => part.text ?? '').join(''),
+      reasoning: parts.filter((part) => part.thought).map((part) => part.text ?? '').join(''),
+      notice: describeGeminiNotice(data)
+    };
+  },
+  parseStreamEvent(eventName, data) {
+    const delta = { text: '', reasoning: '', notice: describeGeminiNotice(data) };
+    const parts = data.candidates?.[0]?.content?.parts ?? [];
+    for (const part of parts) {
+      if (typeof part?.text !== 'string') continue;
+      if (part.thought) {
+        delta.reasoning += part.text;
+      } else {
+        delta.text += part.text;
+      }
+    }
+    return delta;
+  },
+  buildProbeRequest({ endpoint, apiKey }) {
+    return { method: 'GET', ...this.buildModelsRequest({ endpoint, apiKey }) };
+  },
+  buildModelsRequest({ endpoint, apiKey }) {
+    return {
+      url: endpoint.replace(/\/+$/, ''),
+      headers: apiKey ? { 'x-goog-api-key': apiKey } : {}
+    };
+  },
+  parseModels(data) {
+    const items = Array.isArray(data?.models) ? data.models : [];
+    return items
+      .filter((item) => !item.supportedGenerationMethods || item.supportedGenerationMethods.includes('generateContent'))
+      .map((item) => ({
+        id: String(item.name ?? '').replace(/^models\//, ''),
+        label: item.displayName || item.name,
+        contextLength: item.inputTokenLimit ?? null
+      }));
+  },
+  normalizeError(status, text) {
+    return formatProviderError(status, text);
+  }
+});
+
 const ttsPresets = [
   {
     id: 'browser',
@@ -398,9 +768,18 @@ const ramDiskCache = {
   chunked: new Map(),
   unchunked: new Map()
 };
+let workspaceApi = {
+  available: false,
+  token: null,
+  error: null
+};
 let chunkerState = {
   chunkSize: 500,
   chunkOverlap: 50,
+  strategy: 'auto',
+  discover: false,
+  activity: null,
+  notice: null,
   unchunkedFiles: [],
   chunkedFiles: [],
   totalChunks: 0,
@@ -408,14 +787,45 @@ let chunkerState = {
 };
 let processRegistry = new Map();
 let debugPanelVisible = false;
-let modelAInFlight = false;
-let modelBInFlight = false;
+const contextBudgetReports = new Map();
+// Embedding vectors keyed by normalized message id, mirrored from the memory-vectors store.
+const vectorIndex = new Map();
+const embeddingQueue = new Map();
+let embeddingFlushTimer;
+// BM25 inverted index over every retrievable memory, mirrored to the lexical-index store.
+const lexicalIndex = {
+  documents: new Map(),
+  postings: new Map(),
+  totalLength: 0
+};
+// Entry objects already indexed, so the pre-query sweep over floating memory skips re-hashing them.
+const lexicallyIndexedEntries = new WeakSet();
+// Index documents hold no content; RAG passages indexed this session are resolved through these references
+// (archived messages are read back from the messages store instead).
+const lexicalEntryRefs = new Map();
+const lexicalPersistQueue = new Map();
+let lexicalPersistTimer;
+// Per-reply retrieval traces for the inspector, keyed by the assistant message id; session-only.
+const retrievalTraces = new Map();
+// Short citation labels handed to the model ([m3] -> memory id), stable across replies and reloads.
+const memoryCitations = { labels: new Map(), ids: new Map(), next: 1 };
+let citationPersistTimer;
+// Running "conversation so far" summaries keyed by mode; reset whenever the mode's RAG session rotates.
+const conversationSummaries = new Map();
+// In-flight model calls keyed by caller ('chat' | 'arenaA' | 'arenaB') so Stop controls can abort them without
+// touching another pipeline's turn; chat and arena agent A share the 'modelA' process row but not a request slot.
+const CHAT_REQUEST_KEY = 'chat';
+const activeModelRequests = new Map();
+// Context windows reported by model discovery, keyed by endpoint and model id; session-only.
+// config.modelContextLimits persists just the entries for the models currently selected.
+const discoveredContextLimits = new Map();
 let pdfLoaderPromise;
 const PROCESS_BASELINE = [
   { id: 'modelA', label: 'Model A pipeline', status: 'Idle', detail: 'Waiting for user prompt.' },
   { id: 'modelB', label: 'Model B pipeline', status: 'Idle', detail: 'Awaiting arena start.' },
   { id: 'arena', label: 'SAM arena loop', status: 'Idle', detail: 'Dual chat stopped.' },
-  { id: 'autosave', label: 'Arena autosave', status: 'Idle', detail: 'Next snapshot pending.' }
+  { id: 'autosave', label: 'Arena autosave', status: 'Idle', detail: 'Next snapshot pending.' },
+  { id: 'summarizer', label: 'Conversation summarizer', status: 'Idle', detail: 'No turns evicted yet.' }
 ];
 
 const elements = {
@@ -444,6 +854,7 @@ const elements = {
   agentBConfig: document.getElementById('agentBConfig'),
   messageInput: document.getElementById('messageInput'),
   sendButton: document.getElementById('sendButton'),
+  stopButton: document.getElementById('stopButton'),
   voiceButton: document.getElementById('voiceButton'),
   speakToggle: document.getElementById('speakToggle'),
   retrieveButton: document.getElementById('retrieveButton'),
@@ -451,7 +862,25 @@ const elements = {
   memorySlider: document.getElementById('memorySlider'),
   memorySliderValue: document.getElementById('memorySliderValue'),
   retrievalCount: document.getElementById('retrievalCount'),
+  retrievalMinScoreInput: document.getElementById('retrievalMinScoreInput'),
+  retrievalTokenBudgetInput: document.getElementById('retrievalTokenBudgetInput'),
+  queryRewriteSelect: document.getElementById('queryRewriteSelect'),
+  rankRecencyWeightInput: document.getElementById('rankRecencyWeightInput'),
+  rankRecencyHalfLifeInput: document.getElementById('rankRecencyHalfLifeInput'),
+  rankPinnedBoostInput: document.getElementById('rankPinnedBoostInput'),
+  rankChatWeightInput: document.getElementById('rankChatWeightInput'),
+  rankArenaWeightInput: document.getElementById('rankArenaWeightInput'),
+  rankFileWeightInput: document.getElementById('rankFileWeightInput'),
+  rankUserWeightInput: document.getElementById('rankUserWeightInput'),
+  rankAssistantWeightInput: document.getElementById('rankAssistantWeightInput'),
+  rankDiversityInput: document.getElementById('rankDiversityInput'),
+  embeddingEndpointInput: document.getElementById('embeddingEndpointInput'),
+  embeddingModelInput: document.getElementById('embeddingModelInput'),
+  embeddingApiKeyInput: document.getElementById('embeddingApiKeyInput'),
+  embeddingStatus: document.getElementById('embeddingStatus'),
+  indexEmbeddingsButton: document.getElementById('indexEmbeddingsButton'),
   contextTurns: document.getElementById('contextTurns'),
+  autoSummarizeToggle: document.getElementById('autoSummarizeToggle'),
   exportButton: document.getElementById('exportMemoryButton'),
   floatingMemoryList: document.getElementById('floatingMemoryList'),
   floatingMemoryCount: document.getElementById('floatingMemoryCount'),
@@ -465,15 +894,26 @@ const elements = {
   archiveUnpinnedButton: document.getElementById('archiveUnpinnedButton'),
   modelARetrievals: document.getElementById('modelARetrievals'),
   modelBRetrievals: document.getElementById('modelBRetrievals'),
+  retrievalQueryStatus: document.getElementById('retrievalQueryStatus'),
   endpointInput: document.getElementById('endpointInput'),
   providerSelect: document.getElementById('providerSelect'),
   providerNotes: document.getElementById('providerNotes'),
   modelInput: document.getElementById('modelInput'),
+  modelOptions: document.getElementById('modelOptions'),
+  modelPickerHint: document.getElementById('modelPickerHint'),
+  fetchModelsButton: document.getElementById('fetchModelsButton'),
   apiKeyInput: document.getElementById('apiKeyInput'),
   systemPromptInput: document.getElementById('systemPromptInput'),
   temperatureInput: document.getElementById('temperatureInput'),
   maxTokensInput: document.getElementById('maxTokensInput'),
   maxTokensHint: document.getElementById('maxTokensHint'),
+  streamToggle: document.getElementById('streamToggle'),
+  thinkingBudgetInput: document.getElementById('thinkingBudgetInput'),
+  retryAttemptsInput: document.getElementById('retryAttemptsInput'),
+  retryDelayInput: document.getElementById('retryDelayInput'),
+  fallbackChainInput: document.getElementById('fallbackChainInput'),
+  agentAFallbackInput: document.getElementById('agentAFallbackInput'),
+  agentBFallbackInput: document.getElementById('agentBFallbackInput'),
   saveConfigButton: document.getElementById('saveConfigButton'),
   diagnosticsButton: document.getElementById('diagnosticsButton'),
   dualStatus: document.getElementById('dualStatus'),
@@ -497,11 +937,17 @@ const elements = {
   agentAProviderNotes: document.getElementById('agentAProviderNotes'),
   agentAEndpoint: document.getElementById('agentAEndpoint'),
   agentAModel: document.getElementById('agentAModel'),
+  agentAModelOptions: document.getElementById('agentAModelOptions'),
+  agentAModelHint: document.getElementById('agentAModelHint'),
+  agentAFetchModelsButton: document.getElementById('agentAFetchModelsButton'),
   agentAApiKey: document.getElementById('agentAApiKey'),
   agentBProviderSelect: document.getElementById('agentBProviderSelect'),
   agentBProviderNotes: document.getElementById('agentBProviderNotes'),
   agentBEndpoint: document.getElementById('agentBEndpoint'),
   agentBModel: document.getElementById('agentBModel'),
+  agentBModelOptions: document.getElementById('agentBModelOptions'),
+  agentBModelHint: document.getElementById('agentBModelHint'),
+  agentBFetchModelsButton: document.getElementById('agentBFetchModelsButton'),
   agentBApiKey: document.getElementById('agentBApiKey'),
   ttsPresetSelect: document.getElementById('ttsPresetSelect'),
   ttsPresetDetails: document.getElementById('ttsPresetDetails'),
@@ -526,7 +972,13 @@ const elements = {
   openDebugButton: document.getElementById('openDebugButton'),
   debugPanel: document.getElementById('debugPanel'),
   debugCloseButton: document.getElementById('debugCloseButton'),
+  retrievalInspector: document.getElementById('retrievalInspector'),
+  retrievalInspectorSubtitle: document.getElementById('retrievalInspectorSubtitle'),
+  retrievalInspectorClose: document.getElementById('retrievalInspectorClose'),
+  retrievalInspectorMemories: document.getElementById('retrievalInspectorMemories'),
+  retrievalInspectorMessages: document.getElementById('retrievalInspectorMessages'),
   processList: document.getElementById('processList'),
+  contextBudgetList: document.getElementById('contextBudgetList'),
   logList: document.getElementById('logList'),
   logStatus: document.getElementById('logStatus'),
   logShutdownButton: document.getElementById('logShutdownButton'),
@@ -534,10 +986,15 @@ const elements = {
   exportLogsButton: document.getElementById('exportLogsButton'),
   chunkSizeInput: document.getElementById('chunkSizeInput'),
   chunkOverlapInput: document.getElementById('chunkOverlapInput'),
+  chunkStrategySelect: document.getElementById('chunkStrategySelect'),
+  chunkDiscoverToggle: document.getElementById('chunkDiscoverToggle'),
+  memoryDropZone: document.getElementById('memoryDropZone'),
+  memoryFileInput: document.getElementById('memoryFileInput'),
   chunkerStatus: document.getElementById('chunkerStatus'),
   unchunkedFileCount: document.getElementById('unchunkedFileCount'),
   chunkedFileCount: document.getElementById('chunkedFileCount'),
   totalChunkCount: document.getElementById('totalChunkCount'),
+  chunkerStorageMode: document.getElementById('chunkerStorageMode'),
   scanChunkerButton: document.getElementById('scanChunkerButton'),
   chunkFilesButton: document.getElementById('chunkFilesButton'),
   clearChunksButton: document.getElementById('clearChunksButton')
@@ -551,6 +1008,7 @@ async function init() {
   loadConfig();
   applyBackgroundFromConfig();
   loadPinnedMessages();
+  loadMemoryCitations();
   loadRetrievalMetrics();
   initProcessRegistry();
   populateProviderSelect();
@@ -558,6 +1016,7 @@ async function init() {
   populateTtsControls();
   bindEvents();
   primeRamDiskCache();
+  await detectWorkspaceApi();
   applyDebugSetting();
   updateConfigInputs();
   updateSpeakToggle();
@@ -574,6 +1033,9 @@ async function init() {
   await loadLogsFromStorage();
   await recordLog('startup', 'SAM workspace initialized.');
   await loadConversationFromStorage();
+  await loadVectorIndex();
+  await loadLexicalIndex();
+  await loadConversationSummary(MODE_CHAT);
   await hydrateFloatingMemoryFromRag();
   updateMemoryStatus();
   renderFloatingMemoryWorkbench();
@@ -656,7 +1118,11 @@ function loadConfig() {
     config.ttsVolume = clampNumber(config.ttsVolume ?? defaultConfig.ttsVolume, 0, 200, defaultConfig.ttsVolume);
     userEditedTtsServer = Boolean(config.ttsServerUrl);
     userEditedTtsVoice = Boolean(config.ttsVoiceId);
-    const contextLimit = getProviderContextLimit(config.providerPreset);
+    config.modelContextLimits =
+      config.modelContextLimits && typeof config.modelContextLimits === 'object'
+        ? { ...config.modelContextLimits }
+        : {};
+    const contextLimit = getActiveContextLimit();
     const clampedMaxTokens = clampNumber(
       config.maxResponseTokens ?? defaultConfig.maxResponseTokens,
       16,
@@ -664,6 +1130,34 @@ function loadConfig() {
       defaultConfig.maxResponseTokens
     );
     config.maxResponseTokens = Math.round(clampedMaxTokens);
+    config.thinkingBudget = normalizeThinkingBudget(config.thinkingBudget);
+    config.retryAttempts = Math.round(
+      clampNumber(config.retryAttempts ?? defaultConfig.retryAttempts, 0, 6, defaultConfig.retryAttempts)
+    );
+    config.retryBaseDelay = clampNumber(
+      config.retryBaseDelay ?? defaultConfig.retryBaseDelay,
+      0.25,
+      30,
+      defaultConfig.retryBaseDelay
+    );
+    config.retrievalMinScore = clampNumber(
+      config.retrievalMinScore ?? defaultConfig.retrievalMinScore,
+      0,
+      1,
+      defaultConfig.retrievalMinScore
+    );
+    config.retrievalTokenBudget = Math.round(
+      clampNumber(config.retrievalTokenBudget ?? defaultConfig.retrievalTokenBudget, 0, 200000, defaultConfig.retrievalTokenBudget)
+    );
+    if (!QUERY_REWRITE_MODES.has(config.queryRewriteMode)) {
+      config.queryRewriteMode = defaultConfig.queryRewriteMode;
+    }
+    for (const field of RETRIEVAL_RANKING_FIELDS) {
+      config[field.key] = clampNumber(config[field.key] ?? defaultConfig[field.key], field.min, field.max, defaultConfig[field.key]);
+    }
+    config.fallbackPresets = normalizeFallbackPresets(config.fallbackPresets);
+    config.agentAFallbackPresets = normalizeFallbackPresets(config.agentAFallbackPresets);
+    config.agentBFallbackPresets = normalizeFallbackPresets(config.agentBFallbackPresets);
     if (typeof config.dualTurnLimit !== 'number' || config.dualTurnLimit < 0) {
       config.dualTurnLimit = defaultConfig.dualTurnLimit;
     }
@@ -682,6 +1176,8 @@ function loadConfig() {
       config.backgroundSource = config.backgroundUrl ? 'url' : 'default';
     }
     config.debugEnabled = Boolean(config.debugEnabled);
+    config.streamResponses =
+      typeof config.streamResponses === 'boolean' ? config.streamResponses : defaultConfig.streamResponses;
     config.reflexEnabled = typeof config.reflexEnabled === 'boolean' ? config.reflexEnabled : defaultConfig.reflexEnabled;
     config.reflexInterval = clampNumber(
       config.reflexInterval ?? defaultConfig.reflexInterval,
@@ -733,14 +1229,16 @@ function loadRetrievalMetrics() {
       next.A = {
         total: Number(parsed.A.total) || 0,
         lastCount: Number(parsed.A.lastCount) || 0,
-        lastAt: parsed.A.lastAt ? Number(parsed.A.lastAt) : null
+        lastAt: parsed.A.lastAt ? Number(parsed.A.lastAt) : null,
+        lastQueries: Array.isArray(parsed.A.lastQueries) ? parsed.A.lastQueries.map(String) : []
       };
     }
     if (parsed?.B) {
       next.B = {
         total: Number(parsed.B.total) || 0,
         lastCount: Number(parsed.B.lastCount) || 0,
-        lastAt: parsed.B.lastAt ? Number(parsed.B.lastAt) : null
+        lastAt: parsed.B.lastAt ? Number(parsed.B.lastAt) : null,
+        lastQueries: Array.isArray(parsed.B.lastQueries) ? parsed.B.lastQueries.map(String) : []
       };
     }
     retrievalMetrics = next;
@@ -766,13 +1264,14 @@ function persistRetrievalMetrics() {
   }
 }
 
-function registerRetrieval(agent, count) {
+function registerRetrieval(agent, count, rewrittenQueries = []) {
   const key = agent === 'B' ? 'B' : 'A';
   const bucket = retrievalMetrics[key] ?? { total: 0, lastCount: 0, lastAt: null };
   const sanitizedCount = Math.max(0, Number(count) || 0);
   bucket.total = Math.max(0, Number(bucket.total) || 0) + sanitizedCount;
   bucket.lastCount = sanitizedCount;
   bucket.lastAt = Date.now();
+  bucket.lastQueries = rewrittenQueries;
   retrievalMetrics = {
     ...retrievalMetrics,
     [key]: { ...bucket }
@@ -788,6 +1287,16 @@ function updateRetrievalStats() {
   if (elements.modelBRetrievals) {
     elements.modelBRetrievals.textContent = formatRetrievalBucket(retrievalMetrics.B);
   }
+  if (elements.retrievalQueryStatus) {
+    const queries = retrievalMetrics.A?.lastQueries ?? [];
+    if (config.queryRewriteMode === 'off') {
+      elements.retrievalQueryStatus.textContent = 'Query rewriting off • retrieval searches the latest message as typed.';
+    } else if (queries.length) {
+      elements.retrievalQueryStatus.textContent = `Last search: ${queries.map((query) => `“${query}”`).join(' • ')}`;
+    } else {
+      elements.retrievalQueryStatus.textContent = 'Query rewriting on • no rewritten search yet.';
+    }
+  }
 }
 
 function formatRetrievalBucket(bucket = { total: 0, lastCount: 0, lastAt: null }) {
@@ -933,6 +1442,7 @@ function getAgentPersona(agent) {
 }
 
 function saveConfig() {
+  retainSelectedContextLimits();
   window.localStorage.setItem('sam-config', JSON.stringify(config));
 }
 
@@ -940,7 +1450,34 @@ function updateConfigInputs() {
   elements.memorySlider.value = config.memoryLimitMB;
   elements.memorySliderValue.innerHTML = `${config.memoryLimitMB}&nbsp;MB`;
   elements.retrievalCount.value = config.retrievalCount;
+  if (elements.retrievalMinScoreInput) {
+    elements.retrievalMinScoreInput.value = String(config.retrievalMinScore);
+  }
+  if (elements.retrievalTokenBudgetInput) {
+    elements.retrievalTokenBudgetInput.value = String(config.retrievalTokenBudget);
+  }
+  if (elements.queryRewriteSelect) {
+    elements.queryRewriteSelect.value = config.queryRewriteMode;
+  }
+  for (const field of RETRIEVAL_RANKING_FIELDS) {
+    if (elements[field.element]) {
+      elements[field.element].value = String(config[field.key]);
+    }
+  }
   elements.contextTurns.value = config.contextTurns;
+  if (elements.embeddingEndpointInput) {
+    elements.embeddingEndpointInput.value = config.embeddingEndpoint ?? '';
+  }
+  if (elements.embeddingModelInput) {
+    elements.embeddingModelInput.value = config.embeddingModel ?? '';
+  }
+  if (elements.embeddingApiKeyInput) {
+    elements.embeddingApiKeyInput.value = config.embeddingApiKey ?? '';
+  }
+  updateEmbeddingStatus();
+  if (elements.autoSummarizeToggle) {
+    elements.autoSummarizeToggle.checked = config.autoSummarize !== false;
+  }
   if (elements.providerSelect) {
     elements.providerSelect.value = config.providerPreset ?? defaultConfig.providerPreset;
   }
@@ -952,6 +1489,27 @@ function updateConfigInputs() {
   if (elements.maxTokensInput) {
     updateMaxTokensCeiling();
   }
+  if (elements.streamToggle) {
+    elements.streamToggle.checked = Boolean(config.streamResponses);
+  }
+  if (elements.thinkingBudgetInput) {
+    elements.thinkingBudgetInput.value = String(config.thinkingBudget);
+  }
+  if (elements.retryAttemptsInput) {
+    elements.retryAttemptsInput.value = String(config.retryAttempts);
+  }
+  if (elements.retryDelayInput) {
+    elements.retryDelayInput.value = String(config.retryBaseDelay);
+  }
+  if (elements.fallbackChainInput) {
+    elements.fallbackChainInput.value = config.fallbackPresets.join(', ');
+  }
+  if (elements.agentAFallbackInput) {
+    elements.agentAFallbackInput.value = config.agentAFallbackPresets.join(', ');
+  }
+  if (elements.agentBFallbackInput) {
+    elements.agentBFallbackInput.value = config.agentBFallbackPresets.join(', ');
+  }
   updateAgentConnectionInputs('A');
   updateAgentConnectionInputs('B');
   if (elements.dualSeedInput) {
@@ -1008,9 +1566,14 @@ function updateAgentConnectionInputs(agent) {
   const endpointInput = elements[`${prefix}Endpoint`];
   const modelInput = elements[`${prefix}Model`];
   const apiKeyInput = elements[`${prefix}ApiKey`];
+  const fetchModelsButton = elements[`${prefix}FetchModelsButton`];
   const providerKey = config[`${prefix}ProviderPreset`] ?? 'inherit';
   const connection = getAgentConnection(agent);
 
+  if (fetchModelsButton) {
+    fetchModelsButton.disabled = connection.inherits || (agent === 'B' && !config.agentBEnabled);
+  }
+
   if (providerSelect) {
     providerSelect.value = providerKey;
   }
@@ -1145,6 +1708,12 @@ function getAgentConnection(agent) {
     apiKey,
     temperature: config.temperature,
     maxTokens: config.maxResponseTokens,
+    thinkingBudget: config.thinkingBudget,
+    fallbackPresets: config[`${prefix}FallbackPresets`]?.length
+      ? config[`${prefix}FallbackPresets`]
+      : inherits
+        ? config.fallbackPresets
+        : [],
     providerPreset: preset?.id ?? 'custom',
     providerLabel: inherits && basePreset ? `${basePreset.label} (main)` : preset?.label ?? 'Custom',
     presetDescription: preset?.description ?? '',
@@ -1331,6 +1900,10 @@ function bindEvents() {
     void handleUserMessage();
   });
 
+  addListener(elements.stopButton, 'click', () => {
+    cancelModelRequest(CHAT_REQUEST_KEY);
+  });
+
   addListener(elements.messageInput, 'keydown', (event) => {
     if (event.key === 'Enter' && !event.shiftKey) {
       event.preventDefault();
@@ -1363,12 +1936,64 @@ function bindEvents() {
     saveConfig();
   });
 
+  addListener(elements.retrievalMinScoreInput, 'change', (event) => {
+    config.retrievalMinScore = clampNumber(event.target.value, 0, 1, config.retrievalMinScore);
+    elements.retrievalMinScoreInput.value = String(config.retrievalMinScore);
+    saveConfig();
+  });
+
+  addListener(elements.retrievalTokenBudgetInput, 'change', (event) => {
+    config.retrievalTokenBudget = Math.round(clampNumber(event.target.value, 0, 200000, config.retrievalTokenBudget));
+    elements.retrievalTokenBudgetInput.value = String(config.retrievalTokenBudget);
+    saveConfig();
+  });
+
+  addListener(elements.queryRewriteSelect, 'change', (event) => {
+    config.queryRewriteMode = QUERY_REWRITE_MODES.has(event.target.value) ? event.target.value : 'off';
+    saveConfig();
+    updateRetrievalStats();
+  });
+
+  for (const field of RETRIEVAL_RANKING_FIELDS) {
+    addListener(elements[field.element], 'change', (event) => {
+      config[field.key] = clampNumber(event.target.value, field.min, field.max, config[field.key]);
+      event.target.value = String(config[field.key]);
+      saveConfig();
+    });
+  }
+
+  addListener(elements.embeddingEndpointInput, 'change', (event) => {
+    config.embeddingEndpoint = event.target.value.trim();
+    saveConfig();
+    updateEmbeddingStatus();
+  });
+
+  addListener(elements.embeddingModelInput, 'change', (event) => {
+    config.embeddingModel = event.target.value.trim();
+    saveConfig();
+    updateEmbeddingStatus();
+  });
+
+  addListener(elements.embeddingApiKeyInput, 'change', (event) => {
+    config.embeddingApiKey = event.target.value;
+    saveConfig();
+  });
+
+  addListener(elements.indexEmbeddingsButton, 'click', () => {
+    void backfillEmbeddings();
+  });
+
   addListener(elements.contextTurns, 'change', (event) => {
     config.contextTurns = clampNumber(event.target.value, 2, 40, config.contextTurns);
     elements.contextTurns.value = config.contextTurns;
     saveConfig();
   });
 
+  addListener(elements.autoSummarizeToggle, 'change', (event) => {
+    config.autoSummarize = event.target.checked;
+    saveConfig();
+  });
+
   addListener(elements.providerSelect, 'change', (event) => {
     applyProviderPreset(event.target.value, { silent: false });
   });
@@ -1397,10 +2022,24 @@ function bindEvents() {
 
   addListener(elements.modelInput, 'input', (event) => {
     config.model = event.target.value.trim();
+    updateMaxTokensCeiling();
+    describeSelectedModel('main');
     updateAgentConnectionInputs('A');
     updateAgentConnectionInputs('B');
   });
 
+  addListener(elements.fetchModelsButton, 'click', () => {
+    void fetchModelsForPicker('main');
+  });
+
+  addListener(elements.agentAFetchModelsButton, 'click', () => {
+    void fetchModelsForPicker('A');
+  });
+
+  addListener(elements.agentBFetchModelsButton, 'click', () => {
+    void fetchModelsForPicker('B');
+  });
+
   addListener(elements.apiKeyInput, 'input', (event) => {
     config.apiKey = event.target.value;
     updateAgentConnectionInputs('A');
@@ -1414,6 +2053,7 @@ function bindEvents() {
 
   addListener(elements.agentAModel, 'input', (event) => {
     config.agentAModel = event.target.value.trim();
+    describeSelectedModel('A');
     saveConfig();
   });
 
@@ -1429,6 +2069,7 @@ function bindEvents() {
 
   addListener(elements.agentBModel, 'input', (event) => {
     config.agentBModel = event.target.value.trim();
+    describeSelectedModel('B');
     saveConfig();
   });
 
@@ -1451,7 +2092,7 @@ function bindEvents() {
 
   addListener(elements.maxTokensInput, 'change', (event) => {
     const parsed = Number.parseInt(event.target.value, 10);
-    const limit = getProviderContextLimit(config.providerPreset);
+    const limit = getActiveContextLimit();
     if (Number.isNaN(parsed) || parsed <= 0) {
       config.maxResponseTokens = Math.round(
         clampNumber(defaultConfig.maxResponseTokens, 16, limit, defaultConfig.maxResponseTokens)
@@ -1471,6 +2112,52 @@ function bindEvents() {
     saveConfig();
   });
 
+  addListener(elements.streamToggle, 'change', (event) => {
+    config.streamResponses = event.target.checked;
+    saveConfig();
+  });
+
+  addListener(elements.retryAttemptsInput, 'change', (event) => {
+    config.retryAttempts = Math.round(clampNumber(event.target.value, 0, 6, config.retryAttempts));
+    elements.retryAttemptsInput.value = String(config.retryAttempts);
+    saveConfig();
+  });
+
+  addListener(elements.retryDelayInput, 'change', (event) => {
+    config.retryBaseDelay = clampNumber(event.target.value, 0.25, 30, config.retryBaseDelay);
+    elements.retryDelayInput.value = String(config.retryBaseDelay);
+    saveConfig();
+  });
+
+  [
+    ['fallbackChainInput', 'fallbackPresets'],
+    ['agentAFallbackInput', 'agentAFallbackPresets'],
+    ['agentBFallbackInput', 'agentBFallbackPresets']
+  ].forEach(([elementKey, configKey]) => {
+    addListener(elements[elementKey], 'change', (event) => {
+      const raw = event.target.value.split(',').map((item) => item.trim()).filter(Boolean);
+      config[configKey] = normalizeFallbackPresets(raw);
+      const unknown = raw.filter((item) => !config[configKey].includes(item));
+      if (unknown.length) {
+        addSystemMessage(`Ignored unknown fallback preset(s): ${unknown.join(', ')}.`);
+      }
+      event.target.value = config[configKey].join(', ');
+      saveConfig();
+    });
+  });
+
+  addListener(elements.thinkingBudgetInput, 'change', (event) => {
+    config.thinkingBudget = normalizeThinkingBudget(event.target.value);
+    elements.thinkingBudgetInput.value = String(config.thinkingBudget);
+    if (activeDualConnections.A) {
+      activeDualConnections.A.thinkingBudget = config.thinkingBudget;
+    }
+    if (activeDualConnections.B) {
+      activeDualConnections.B.thinkingBudget = config.thinkingBudget;
+    }
+    saveConfig();
+  });
+
   addListener(elements.saveConfigButton, 'click', () => {
     saveConfig();
     updateModelConnectionStatus();
@@ -1494,6 +2181,11 @@ function bindEvents() {
 
   addListener(document, 'keydown', (event) => {
     if (event.key === 'Escape') {
+      if (elements.retrievalInspector && !elements.retrievalInspector.hidden) {
+        closeRetrievalInspector();
+        event.preventDefault();
+        return;
+      }
       if (debugPanelVisible) {
         closeDebugPanel();
         event.preventDefault();
@@ -1646,6 +2338,29 @@ function bindEvents() {
     closeDebugPanel();
   });
 
+  addListener(elements.retrievalInspectorClose, 'click', () => {
+    closeRetrievalInspector();
+  });
+
+  addListener(elements.chatWindow, 'click', (event) => {
+    const button = event.target.closest('.message-inspect');
+    if (button) {
+      openRetrievalInspector(button.closest('.message')?.dataset.messageId);
+      return;
+    }
+    const chip = event.target.closest('.memory-chip');
+    if (chip) {
+      void showCitedMemory(chip.dataset.memoryId);
+    }
+  });
+
+  addListener(elements.dualChatWindow, 'click', (event) => {
+    const chip = event.target.closest('.memory-chip');
+    if (chip) {
+      void showCitedMemory(chip.dataset.memoryId);
+    }
+  });
+
   addListener(elements.logShutdownButton, 'click', () => {
     const note = prompt('Add optional notes for the shutdown log:')?.trim();
     const message = note?.length ? note : 'Shutdown logged by user.';
@@ -1659,7 +2374,7 @@ function bindEvents() {
   });
 
   addListener(elements.exportLogsButton, 'click', () => {
-    exportLogs();
+    void exportLogs();
   });
 
   addListener(elements.ttsApiKeyInput, 'input', (event) => {
@@ -1704,6 +2419,46 @@ function bindEvents() {
     event.target.value = String(chunkerState.chunkOverlap);
   });
 
+  addListener(elements.chunkStrategySelect, 'change', (event) => {
+    chunkerState.strategy = CHUNK_STRATEGIES.has(event.target.value) ? event.target.value : 'auto';
+  });
+
+  addListener(elements.chunkDiscoverToggle, 'change', (event) => {
+    chunkerState.discover = event.target.checked;
+  });
+
+  addListener(elements.memoryDropZone, 'dragover', (event) => {
+    event.preventDefault();
+    elements.memoryDropZone.classList.add('memory-dropzone--active');
+  });
+
+  addListener(elements.memoryDropZone, 'dragleave', () => {
+    elements.memoryDropZone.classList.remove('memory-dropzone--active');
+  });
+
+  addListener(elements.memoryDropZone, 'drop', (event) => {
+    event.preventDefault();
+    elements.memoryDropZone.classList.remove('memory-dropzone--active');
+    void ingestDocumentFiles(event.dataTransfer?.files);
+  });
+
+  addListener(elements.memoryDropZone, 'click', () => {
+    elements.memoryFileInput?.click();
+  });
+
+  addListener(elements.memoryDropZone, 'keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      elements.memoryFileInput?.click();
+    }
+  });
+
+  addListener(elements.memoryFileInput, 'change', (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    void ingestDocumentFiles(files);
+  });
+
   addListener(elements.scanChunkerButton, 'click', () => {
     void scanForChunkableFiles();
   });
@@ -1725,6 +2480,27 @@ function bindEvents() {
   window._eventListeners = eventListeners;
 }
 
+function normalizeFallbackPresets(value) {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  const normalized = [];
+  for (const item of items) {
+    const id = String(item).trim();
+    if (providerPresetMap.has(id) && !normalized.includes(id)) {
+      normalized.push(id);
+    }
+  }
+  return normalized;
+}
+
+function normalizeThinkingBudget(value) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return 0;
+  }
+  // Anthropic rejects budgets below its documented floor, so round small values up instead of failing the call.
+  return Math.min(Math.max(parsed, ANTHROPIC_MIN_THINKING_BUDGET), 131072);
+}
+
 function clampNumber(value, min, max, fallback) {
   const numeric = Number.parseFloat(value);
   if (Number.isNaN(numeric)) {
@@ -1745,16 +2521,133 @@ function getProviderContextLimit(presetId = config.providerPreset) {
   return DEFAULT_CONTEXT_LIMIT;
 }
 
+function getContextLimitKey(endpoint, model) {
+  return `${(endpoint || '').trim()} ${model}`;
+}
+
+function getDiscoveredContextLimit(model = config.model, endpoint = config.endpoint) {
+  const key = getContextLimitKey(endpoint, model);
+  const candidate = Number(discoveredContextLimits.get(key) ?? config.modelContextLimits?.[key]);
+  if (!model || !Number.isFinite(candidate) || candidate <= 0) {
+    return null;
+  }
+  return Math.min(MAX_CONTEXT_LIMIT, Math.max(16, Math.floor(candidate)));
+}
+
+// Narrows the persisted map to the main model and both arena agents, so one large /models listing never lands
+// in localStorage.
+function retainSelectedContextLimits() {
+  const retained = {};
+  const selected = [
+    { endpoint: config.endpoint, model: config.model },
+    getAgentConnection('A'),
+    getAgentConnection('B')
+  ];
+  for (const { endpoint, model } of selected) {
+    if (!endpoint || !model) continue;
+    const key = getContextLimitKey(endpoint, model);
+    const limit = discoveredContextLimits.get(key) ?? config.modelContextLimits?.[key];
+    if (limit) {
+      retained[key] = limit;
+    }
+  }
+  config.modelContextLimits = retained;
+}
+
+function getActiveContextLimit() {
+  return getDiscoveredContextLimit() ?? getProviderContextLimit(config.providerPreset);
+}
+
 function updateMaxTokensCeiling() {
   if (!elements.maxTokensInput) return;
-  const limit = getProviderContextLimit(config.providerPreset);
+  const discovered = getDiscoveredContextLimit();
+  const limit = discovered ?? getProviderContextLimit(config.providerPreset);
   elements.maxTokensInput.max = String(limit);
   const current = config.maxResponseTokens ?? defaultConfig.maxResponseTokens;
   const normalized = Math.round(clampNumber(current, 16, limit, current));
   config.maxResponseTokens = normalized;
   elements.maxTokensInput.value = String(normalized);
   if (elements.maxTokensHint) {
-    elements.maxTokensHint.textContent = `Provider limit: up to ${limit.toLocaleString()} tokens.`;
+    elements.maxTokensHint.textContent = discovered
+      ? `Model limit: up to ${limit.toLocaleString()} tokens (reported by the server).`
+      : `Provider limit: up to ${limit.toLocaleString()} tokens.`;
+  }
+}
+
+function getModelPickerTarget(target) {
+  if (target === 'A' || target === 'B') {
+    const prefix = target === 'A' ? 'agentA' : 'agentB';
+    return {
+      connection: getAgentConnection(target),
+      input: elements[`${prefix}Model`],
+      list: elements[`${prefix}ModelOptions`],
+      hint: elements[`${prefix}ModelHint`],
+      button: elements[`${prefix}FetchModelsButton`]
+    };
+  }
+  return {
+    connection: {
+      endpoint: config.endpoint,
+      apiKey: config.apiKey,
+      providerPreset: config.providerPreset
+    },
+    input: elements.modelInput,
+    list: elements.modelOptions,
+    hint: elements.modelPickerHint,
+    button: elements.fetchModelsButton
+  };
+}
+
+async function fetchModelsForPicker(target) {
+  const picker = getModelPickerTarget(target);
+  if (!picker.list) return;
+  if (!picker.connection.endpoint) {
+    setModelPickerHint(picker, 'Set an endpoint before fetching models.');
+    return;
+  }
+  if (picker.button) picker.button.disabled = true;
+  setModelPickerHint(picker, 'Fetching models…');
+  try {
+    const models = await listProviderModels(picker.connection);
+    picker.list.innerHTML = '';
+    for (const item of models) {
+      const option = document.createElement('option');
+      option.value = item.id;
+      const contextLabel = item.contextLength ? ` • ${Number(item.contextLength).toLocaleString()} ctx` : '';
+      option.label = `${item.label || item.id}${contextLabel}`;
+      picker.list.appendChild(option);
+      if (item.contextLength) {
+        discoveredContextLimits.set(getContextLimitKey(picker.connection.endpoint, item.id), Number(item.contextLength));
+      }
+    }
+    saveConfig();
+    updateMaxTokensCeiling();
+    const summary = models.length
+      ? `Found ${models.length} model(s). Start typing in the name field to search.`
+      : 'The server did not report any models.';
+    setModelPickerHint(picker, summary);
+    void recordLog('model', `Fetched ${models.length} model(s) from ${picker.connection.endpoint}`, { silent: true });
+  } catch (error) {
+    const message = error?.message || 'Model list request failed.';
+    setModelPickerHint(picker, `Could not fetch models: ${message}`);
+    void recordLog('error', `Model discovery failed: ${message}`, { level: 'warn', silent: true });
+  } finally {
+    if (picker.button) picker.button.disabled = false;
+  }
+}
+
+function setModelPickerHint(picker, text) {
+  if (picker.hint) {
+    picker.hint.textContent = text;
+  }
+}
+
+function describeSelectedModel(target) {
+  const picker = getModelPickerTarget(target);
+  const model = picker.input?.value.trim();
+  const limit = model ? getDiscoveredContextLimit(model, picker.connection.endpoint) : null;
+  if (limit) {
+    setModelPickerHint(picker, `Context window: ${limit.toLocaleString()} tokens.`);
   }
 }
 
@@ -2046,30 +2939,139 @@ function getTtsPreset(presetId = config.ttsPreset) {
   return ttsPresetMap.get(presetId);
 }
 
-async function initDatabase() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('chatDatabase', 1);
+// Each step upgrades chatDatabase from `version - 1` to `version` inside the versionchange transaction, so a
+// browser that skipped releases replays every missing step in order, and a failing step aborts the whole
+// upgrade with the old data untouched. Steps call `done()` once their (possibly async) work is queued.
+const DATABASE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'messages keyed by timestamp, RAG snapshots and run logs',
+    migrate(database, transaction, done) {
+      ensureObjectStore(database, MESSAGE_STORE_NAME, { keyPath: 'timestamp' });
+      ensureObjectStore(database, RAG_STORE_NAME, { keyPath: 'id' });
+      ensureObjectStore(database, LOG_STORE_NAME, { keyPath: 'id' });
+      done();
+    }
+  },
+  {
+    version: 2,
+    description: 'embedding vectors',
+    migrate(database, transaction, done) {
+      ensureObjectStore(database, VECTOR_STORE_NAME, { keyPath: 'id' });
+      done();
+    }
+  },
+  {
+    version: 3,
+    description: 'keyword index',
+    migrate(database, transaction, done) {
+      ensureObjectStore(database, LEXICAL_STORE_NAME, { keyPath: 'id' });
+      done();
+    }
+  },
+  {
+    version: 4,
+    description: 'message schema v2: keyed by id with mode, origin, session, timestamp and pinned indexes',
+    migrate: migrateMessagesToIdKeys
+  }
+];
+let databaseUpgradeNotes = [];
 
-    request.onerror = (event) => {
-      console.error('IndexedDB error', event);
-      reject(event);
-    };
+function ensureObjectStore(database, name, options) {
+  if (!database.objectStoreNames.contains(name)) {
+    database.createObjectStore(name, options);
+  }
+}
 
-    request.onupgradeneeded = (event) => {
-      const database = event.target.result;
-      if (!database.objectStoreNames.contains('messages')) {
-        database.createObjectStore('messages', { keyPath: 'timestamp' });
-      }
-      if (!database.objectStoreNames.contains(RAG_STORE_NAME)) {
-        database.createObjectStore(RAG_STORE_NAME, { keyPath: 'id' });
-      }
-      if (!database.objectStoreNames.contains(LOG_STORE_NAME)) {
-        database.createObjectStore(LOG_STORE_NAME, { keyPath: 'id' });
-      }
-    };
+function createMessageStore(database) {
+  const store = database.createObjectStore(MESSAGE_STORE_NAME, { keyPath: 'id' });
+  store.createIndex('mode', 'mode');
+  store.createIndex('origin', 'origin');
+  store.createIndex('session', 'session');
+  store.createIndex('timestamp', 'timestamp');
+  store.createIndex('pinned', 'pinned');
+  return store;
+}
+
+// v1 keyed messages by timestamp, so two writes in the same millisecond overwrote each other. The store is
+// rebuilt keyed by id; rows keep their id (chat rows used their timestamp), and any id clash gets a suffix
+// instead of dropping a row.
+function migrateMessagesToIdKeys(database, transaction, done) {
+  if (!database.objectStoreNames.contains(MESSAGE_STORE_NAME)) {
+    createMessageStore(database);
+    done();
+    return;
+  }
+  const request = transaction.objectStore(MESSAGE_STORE_NAME).getAll();
+  request.onsuccess = () => {
+    const legacyRows = request.result || [];
+    database.deleteObjectStore(MESSAGE_STORE_NAME);
+    const store = createMessageStore(database);
+    const usedIds = new Set();
+    for (const row of legacyRows) {
+      const timestamp = normalizeTimestamp(row.timestamp);
+      const baseId = row.id ?? timestamp;
+      let id = baseId;
+      for (let attempt = 2; usedIds.has(normalizeMessageId(id)); attempt += 1) {
+        id = `${normalizeMessageId(baseId)}-migrated-${attempt}`;
+      }
+      usedIds.add(normalizeMessageId(id));
+      const mode = row.mode ?? MODE_CHAT;
+      store.put(
+        toStoredMessage({ ...row, id, timestamp, mode, session: row.session ?? `${mode}-legacy` })
+      );
+    }
+    if (legacyRows.length) {
+      databaseUpgradeNotes.push(`${legacyRows.length} message(s) re-keyed by id`);
+    }
+    done();
+  };
+}
+
+function runDatabaseMigrations(database, transaction, fromVersion) {
+  const pending = DATABASE_MIGRATIONS.filter((migration) => migration.version > fromVersion);
+  const runNext = () => {
+    const migration = pending.shift();
+    if (!migration) return;
+    databaseUpgradeNotes.push(`v${migration.version}: ${migration.description}`);
+    migration.migrate(database, transaction, runNext);
+  };
+  runNext();
+}
+
+async function initDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('chatDatabase', DATABASE_VERSION);
+    let upgradedFrom = null;
+
+    request.onerror = (event) => {
+      console.error('IndexedDB error', event);
+      reject(event);
+    };
+
+    request.onblocked = () => {
+      addSystemMessage('Close other SAM tabs so the memory database can finish upgrading.');
+    };
+
+    request.onupgradeneeded = (event) => {
+      upgradedFrom = event.oldVersion;
+      databaseUpgradeNotes = [];
+      runDatabaseMigrations(event.target.result, event.target.transaction, event.oldVersion);
+    };
 
     request.onsuccess = (event) => {
       db = event.target.result;
+      db.onversionchange = () => {
+        db.close();
+        addSystemMessage('SAM was updated in another tab. Reload this tab to keep saving memories.');
+      };
+      if (upgradedFrom) {
+        void recordLog(
+          'startup',
+          `Upgraded chatDatabase from v${upgradedFrom} to v${DATABASE_VERSION} (${databaseUpgradeNotes.join('; ')}).`,
+          { silent: true }
+        );
+      }
       resolve();
     };
   });
@@ -2133,17 +3135,56 @@ async function loadConversationFromStorage() {
   }
 }
 
+// Read through the timestamp index so callers still get messages in chronological order.
 function getAllMessages() {
   if (!db) return Promise.resolve([]);
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction(['messages'], 'readonly');
-    const store = transaction.objectStore('messages');
-    const request = store.getAll();
+    const transaction = db.transaction([MESSAGE_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(MESSAGE_STORE_NAME);
+    const request = store.index('timestamp').getAll();
+    request.onerror = (event) => reject(event);
+    request.onsuccess = () => resolve(request.result || []);
+  });
+}
+
+function getAllMessageKeys() {
+  if (!db) return Promise.resolve([]);
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([MESSAGE_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(MESSAGE_STORE_NAME);
+    const request = store.getAllKeys();
     request.onerror = (event) => reject(event);
     request.onsuccess = () => resolve(request.result || []);
   });
 }
 
+// Lookups use normalized string ids; rows migrated from v1 may still be keyed by a numeric timestamp.
+function getMessagesByIds(ids) {
+  if (!db || !ids.length) return Promise.resolve(new Map());
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([MESSAGE_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(MESSAGE_STORE_NAME);
+    const found = new Map();
+    for (const id of ids) {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (request.result) {
+          found.set(id, request.result);
+          return;
+        }
+        const numericId = Number(id);
+        if (!Number.isFinite(numericId) || String(numericId) !== id) return;
+        const fallback = store.get(numericId);
+        fallback.onsuccess = () => {
+          if (fallback.result) found.set(id, fallback.result);
+        };
+      };
+    }
+    transaction.oncomplete = () => resolve(found);
+    transaction.onerror = (event) => reject(event);
+  });
+}
+
 function getAllRagRecords() {
   if (!db) return Promise.resolve([]);
   return new Promise((resolve, reject) => {
@@ -2155,6 +3196,122 @@ function getAllRagRecords() {
   });
 }
 
+function getAllVectorRecords() {
+  if (!db) return Promise.resolve([]);
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([VECTOR_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(VECTOR_STORE_NAME);
+    const request = store.getAll();
+    request.onerror = (event) => reject(event);
+    request.onsuccess = () => resolve(request.result || []);
+  });
+}
+
+function putVectorRecords(records) {
+  if (!db || !records.length) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([VECTOR_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(VECTOR_STORE_NAME);
+    for (const record of records) {
+      store.put(record);
+    }
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event);
+  });
+}
+
+async function loadVectorIndex() {
+  try {
+    const records = await getAllVectorRecords();
+    vectorIndex.clear();
+    for (const record of records) {
+      if (record?.id && record.vector) {
+        vectorIndex.set(record.id, record);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to load embedding vectors', error);
+  }
+  updateEmbeddingStatus();
+}
+
+function getAllLexicalRecords() {
+  if (!db) return Promise.resolve([]);
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([LEXICAL_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(LEXICAL_STORE_NAME);
+    const request = store.getAll();
+    request.onerror = (event) => reject(event);
+    request.onsuccess = () => resolve(request.result || []);
+  });
+}
+
+function putLexicalRecords(records) {
+  if (!db || !records.length) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([LEXICAL_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(LEXICAL_STORE_NAME);
+    for (const record of records) {
+      store.put(record);
+    }
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event);
+  });
+}
+
+function deleteLexicalRecords(ids) {
+  if (!db || !ids.length) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([LEXICAL_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(LEXICAL_STORE_NAME);
+    for (const id of ids) {
+      store.delete(id);
+    }
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event);
+  });
+}
+
+// Restores persisted postings, then indexes archived messages the store has no document for. Message content
+// only changes through persistMessage, which re-indexes it, so only the keys need to be compared here.
+async function loadLexicalIndex() {
+  try {
+    const records = await getAllLexicalRecords();
+    lexicalIndex.documents.clear();
+    lexicalIndex.postings.clear();
+    lexicalIndex.totalLength = 0;
+    lexicalEntryRefs.clear();
+    for (const record of records) {
+      if (!record?.id || record.analyzer !== LEXICAL_ANALYZER_VERSION || !record.terms) continue;
+      if (record.entry) {
+        // Older documents carried a full copy of the entry; rewrite them without it.
+        const { entry, ...document } = record;
+        const slim = { ...document, ...describeLexicalEntry(entry) };
+        addLexicalDocument(slim);
+        queueLexicalPersist(slim);
+      } else {
+        addLexicalDocument(record);
+      }
+    }
+    const missingIds = (await getAllMessageKeys())
+      .map((key) => normalizeMessageId(key))
+      .filter((id) => !lexicalIndex.documents.has(id));
+    const stored = await getMessagesByIds(missingIds);
+    let indexed = 0;
+    stored.forEach((entry) => {
+      if (indexLexicalEntry({ ...entry, timestamp: normalizeTimestamp(entry.timestamp) }, { retain: false })) {
+        indexed += 1;
+      }
+    });
+    if (indexed) {
+      void recordLog('memory', `Keyword index added ${indexed} archived message(s).`, { silent: true });
+    }
+  } catch (error) {
+    console.error('Failed to load keyword index', error);
+  }
+  updateEmbeddingStatus();
+}
+
 function getAllLogs() {
   if (!db) return Promise.resolve([]);
   return new Promise((resolve, reject) => {
@@ -2221,7 +3378,7 @@ async function recordLog(eventType, message, options = {}) {
   return entry;
 }
 
-function exportLogs() {
+async function exportLogs() {
   if (!logEntries.length) {
     logStatusMessage('No logs available to export yet.');
     return;
@@ -2233,11 +3390,21 @@ function exportLogs() {
       return `${iso}\t${entry.eventType}\t${entry.level}\t${entry.message}`;
     })
     .join('\n');
+  const filename = `logs/${LOG_EXPORT_PREFIX}-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`;
+  if (workspaceApi.available) {
+    try {
+      await writeWorkspaceFile(filename, content, 'text/plain');
+      logStatusMessage(`Logs saved to ${filename}.`);
+      return;
+    } catch (error) {
+      console.warn('Could not write logs to the workspace, downloading instead:', error);
+    }
+  }
   const blob = new Blob([content], { type: 'text/plain' });
   const url = URL.createObjectURL(blob);
   const anchor = document.createElement('a');
   anchor.href = url;
-  anchor.download = `logs/${LOG_EXPORT_PREFIX}-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`;
+  anchor.download = filename;
   anchor.click();
   URL.revokeObjectURL(url);
   logStatusMessage('Logs exported.');
@@ -2351,6 +3518,7 @@ function openDebugPanel() {
   debugPanelVisible = true;
   elements.debugPanel.hidden = false;
   updateProcessList();
+  updateContextBudgetList();
   updateLogList();
 }
 
@@ -2378,7 +3546,7 @@ async function fetchStaticRagRecords() {
       try {
         const record = await loadRagManifestEntry(descriptor, entry);
         if (!record || !Array.isArray(record.messages) || !record.messages.length) continue;
-        records.push(record);
+        records.push({ ...record, sourcePath: resolveManifestEntryPath(descriptor, entry) });
         filesLoaded += 1;
         bytesLoaded += record.bytes ?? estimateMessagesSize(record.messages);
       } catch (error) {
@@ -2407,6 +3575,12 @@ async function fetchRagManifest(descriptor) {
   }
 }
 
+function resolveManifestEntryPath(descriptor, entry) {
+  const path = entry?.path || entry?.file || entry?.source;
+  if (!path) return null;
+  return resolveRagPath(descriptor.basePath || descriptor.url.replace(/[^/]+$/, ''), path);
+}
+
 function normalizeRagManifestEntries(manifest) {
   if (!manifest) return [];
   if (Array.isArray(manifest)) return manifest;
@@ -2479,18 +3653,10 @@ async function loadRagManifestEntry(descriptor, entry) {
       throw new Error(`HTTP ${response.status} while reading ${path}`);
     }
     const text = await response.text();
-    const content = text.trim();
-    if (!content) return null;
-    const message = {
-      id: `${recordId}-full`,
-      role,
-      content,
-      timestamp,
-      origin,
-      mode,
-      pinned
-    };
-    return { id: recordId, label, mode, origin, messages: [message], bytes: new Blob([text]).size };
+    if (!text.trim()) return null;
+    const passages = splitDocumentIntoPassages(text, { markdown: SUPPORTED_RAG_MARKDOWN_FORMATS.has(format) });
+    const messages = buildPassageMessages(passages, { recordId, path, role, timestamp, origin, mode, pinned });
+    return { id: recordId, label, mode, origin, messages, bytes: new Blob([text]).size };
   }
 
   if (SUPPORTED_RAG_BINARY_FORMATS.has(format)) {
@@ -2499,21 +3665,35 @@ async function loadRagManifestEntry(descriptor, entry) {
       throw new Error(`HTTP ${response.status} while reading ${path}`);
     }
     const buffer = await response.arrayBuffer();
-    const text = await extractPdfText(buffer).catch((error) => {
+    const pages = await extractPdfPages(buffer, { label: path }).catch((error) => {
       throw new Error(`PDF parse failed: ${error.message}`);
     });
-    const content = text.trim();
-    if (!content) return null;
-    const message = {
-      id: `${recordId}-pdf`,
+    const passages = pages.flatMap((pageText, index) => splitDocumentIntoPassages(pageText, { page: index + 1 }));
+    if (!passages.length) return null;
+    const messages = buildPassageMessages(passages, { recordId, path, role, timestamp, origin, mode, pinned });
+    return { id: recordId, label, mode, origin, messages, bytes: buffer.byteLength };
+  }
+
+  const extractor = resolveRagExtractor(format);
+  if (extractor) {
+    const response = await fetch(resolvedPath, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} while reading ${path}`);
+    }
+    const extracted = await extractor(response, { path, format, language: entry.language });
+    if (!extracted.passages.length) return null;
+    const messages = buildPassageMessages(extracted.passages, {
+      recordId,
+      path,
       role,
-      content,
       timestamp,
       origin,
       mode,
-      pinned
-    };
-    return { id: recordId, label, mode, origin, messages: [message], bytes: buffer.byteLength };
+      pinned,
+      language: extracted.language
+    });
+    const extractedLabel = entry.label || entry.title || extracted.title || label;
+    return { id: recordId, label: extractedLabel, mode, origin, messages, bytes: extracted.bytes };
   }
 
   const response = await fetch(resolvedPath, { cache: 'no-store' });
@@ -2521,18 +3701,108 @@ async function loadRagManifestEntry(descriptor, entry) {
     throw new Error(`HTTP ${response.status} while reading ${path}`);
   }
   const fallbackText = await response.text();
-  const fallbackContent = fallbackText.trim();
-  if (!fallbackContent) return null;
-  const message = {
-    id: `${recordId}-raw`,
+  if (!fallbackText.trim()) return null;
+  const messages = buildPassageMessages(splitDocumentIntoPassages(fallbackText), {
+    recordId,
+    path,
     role,
-    content: fallbackContent,
     timestamp,
     origin,
     mode,
     pinned
+  });
+  return { id: recordId, label, mode, origin, messages, bytes: new Blob([fallbackText]).size };
+}
+
+// Packs blank-line separated blocks into passages of about PASSAGE_TARGET_TOKENS. Markdown headings start a
+// new passage and set the heading path carried by everything under them; code fences are never read as headings.
+function splitDocumentIntoPassages(text, { markdown = false, page = null } = {}) {
+  const passages = [];
+  const headingPath = [];
+  let blocks = [];
+  let blockTokens = 0;
+  let insideFence = false;
+
+  const flush = () => {
+    const content = blocks.join('\n\n').trim();
+    if (content) {
+      passages.push({ content, headingPath: [...headingPath], page });
+    }
+    blocks = [];
+    blockTokens = 0;
   };
-  return { id: recordId, label, mode, origin, messages: [message], bytes: new Blob([fallbackText]).size };
+
+  for (const rawBlock of (text ?? '').replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+    const block = rawBlock.trim();
+    if (!block) continue;
+    const heading = markdown && !insideFence ? block.match(/^(#{1,6})\s+(.+)$/m) : null;
+    if ((block.match(/^```/gm) || []).length % 2 === 1) {
+      insideFence = !insideFence;
+    }
+    if (heading && heading.index === 0) {
+      flush();
+      headingPath.length = Math.min(headingPath.length, heading[1].length - 1);
+      headingPath.push(heading[2].replace(/#+\s*$/, '').trim());
+    }
+    for (const piece of splitOversizedBlock(block)) {
+      const tokens = estimateTokenCount(piece);
+      if (blocks.length && blockTokens + tokens > PASSAGE_TARGET_TOKENS) {
+        flush();
+      }
+      blocks.push(piece);
+      blockTokens += tokens;
+    }
+  }
+  flush();
+  return passages;
+}
+
+// PDF pages and unbroken text walls arrive as one block; cut them on sentence boundaries instead.
+function splitOversizedBlock(block) {
+  if (estimateTokenCount(block) <= PASSAGE_TARGET_TOKENS) return [block];
+  const sentences = block.match(/[^.!?\n]+(?:[.!?]+|\n|$)/g) || [block];
+  const pieces = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && estimateTokenCount(current + sentence) > PASSAGE_TARGET_TOKENS) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  }
+  if (current.trim()) {
+    pieces.push(current.trim());
+  }
+  return pieces;
+}
+
+function buildPassageMessages(passages, { recordId, path, role, timestamp, origin, mode, pinned, language = null }) {
+  return passages.map((passage, index) => ({
+    id: `${recordId}-p${index + 1}`,
+    role,
+    content: passage.content,
+    timestamp: timestamp + index,
+    origin,
+    mode,
+    pinned,
+    source: {
+      path,
+      headingPath: passage.headingPath,
+      page: passage.page,
+      passage: index + 1,
+      passageCount: passages.length,
+      ...(language ? { language } : {})
+    }
+  }));
+}
+
+function describeMemorySource(entry) {
+  const source = entry?.source;
+  if (!source || typeof source !== 'object' || !source.path) return '';
+  const parts = [source.path, ...(Array.isArray(source.headingPath) ? source.headingPath : [])];
+  const location = source.page ? ` (p. ${source.page})` : '';
+  const language = source.language ? ` · ${source.language}` : '';
+  return `${parts.join(' › ')}${location}${language}`;
 }
 
 function resolveRagPath(basePath, filePath) {
@@ -2624,13 +3894,17 @@ function estimateTokenCount(text) {
   return total;
 }
 
+// pdf.js and its worker are resolved from node_modules by Vite, so PDF ingestion works without network access.
+// Opening index.html straight from disk leaves the bare specifiers unresolved; PDFs then report the reader
+// as unavailable rather than quietly yielding nothing.
 async function ensurePdfModule() {
   if (pdfLoaderPromise) return pdfLoaderPromise;
-  pdfLoaderPromise = import(`${PDFJS_CDN_BASE}/legacy/build/pdf.mjs`)
-    .then((module) => {
-      if (module.GlobalWorkerOptions) {
-        module.GlobalWorkerOptions.workerSrc = `${PDFJS_CDN_BASE}/legacy/build/pdf.worker.min.js`;
-      }
+  pdfLoaderPromise = Promise.all([
+    import('pdfjs-dist/legacy/build/pdf.mjs'),
+    import('pdfjs-dist/legacy/build/pdf.worker.min.mjs?url')
+  ])
+    .then(([module, worker]) => {
+      module.GlobalWorkerOptions.workerSrc = worker.default;
       return module;
     })
     .catch((error) => {
@@ -2640,20 +3914,324 @@ async function ensurePdfModule() {
   return pdfLoaderPromise;
 }
 
-async function extractPdfText(buffer) {
+// Returns one string per page (index + 1 is the page number). Pages without a text layer come back empty and
+// are reported; a PDF with no text at all is an error, since it almost always means a scan that needs OCR.
+async function extractPdfPages(buffer, { label = 'PDF' } = {}) {
   const pdfjs = await ensurePdfModule();
   if (!pdfjs) {
-    throw new Error('PDF reader unavailable');
+    throw new Error('PDF reader unavailable; serve SAM through Vite (npm run dev) to read PDFs');
   }
-  const documentInstance = await pdfjs.getDocument({ data: buffer }).promise;
-  let text = '';
-  for (let pageNumber = 1; pageNumber <= documentInstance.numPages; pageNumber += 1) {
-    const page = await documentInstance.getPage(pageNumber);
-    const content = await page.getTextContent();
-    const strings = content.items?.map((item) => item.str).filter(Boolean) ?? [];
-    text += strings.join(' ') + '\n';
+  let documentInstance;
+  try {
+    documentInstance = await pdfjs.getDocument({ data: buffer, isEvalSupported: false }).promise;
+  } catch (error) {
+    if (error?.name === 'PasswordException') {
+      throw new Error('PDF is password-protected');
+    }
+    throw error;
+  }
+  const pages = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= documentInstance.numPages; pageNumber += 1) {
+      const page = await documentInstance.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = (content.items ?? []).map((item) => `${item.str ?? ''}${item.hasEOL ? '\n' : ''}`).join('');
+      pages.push(text.replace(/[ \t]+\n/g, '\n').trim());
+      page.cleanup();
+    }
+  } finally {
+    await documentInstance.destroy();
+  }
+
+  const blankPages = pages.filter((text) => !text).length;
+  if (pages.length && blankPages === pages.length) {
+    throw new Error('No text layer found; the PDF looks scanned or image-only. Run it through OCR first');
+  }
+  if (blankPages) {
+    const message = `${label}: ${blankPages} of ${pages.length} pages have no text layer (scanned or image-only) and were skipped.`;
+    console.warn(message);
+    addSystemMessage(`⚠️ ${message}`);
+    void recordLog('rag', message, { level: 'warn', silent: true });
+  }
+  return pages;
+}
+
+// Extractors take anything with text()/arrayBuffer() (a fetch Response or a dropped File) and return passages
+// in the splitDocumentIntoPassages shape. A manifest entry picks one with `format`, otherwise the extension.
+function resolveRagExtractor(format) {
+  if (RAG_HTML_FORMATS.has(format)) return extractHtmlPassages;
+  if (RAG_CSV_FORMATS.has(format)) return extractCsvPassages;
+  if (format === 'docx') return extractDocxPassages;
+  if (format === 'epub') return extractEpubPassages;
+  if (format === 'code' || CODE_FILE_EXTENSIONS.has(format)) return extractCodePassages;
+  return null;
+}
+
+async function extractHtmlPassages(source) {
+  const html = await source.text();
+  const documentNode = new DOMParser().parseFromString(html, 'text/html');
+  const title = cleanInlineText(documentNode.querySelector('title')?.textContent || '');
+  const root = documentNode.querySelector('main, article') || documentNode.body;
+  const text = root ? renderHtmlText(root) : '';
+  return { title, passages: splitDocumentIntoPassages(text, { markdown: true }), bytes: new Blob([html]).size };
+}
+
+function cleanInlineText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Flattens markup into Markdown-ish blocks: headings keep their level so passages get a heading path, lists
+// and table rows become one line each, and chrome such as navigation, scripts and forms is dropped.
+function renderHtmlText(root) {
+  const blocks = [];
+  let line = '';
+  const flush = () => {
+    const text = cleanInlineText(line);
+    if (text) blocks.push(text);
+    line = '';
+  };
+  const walk = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      line += node.textContent;
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    const tag = node.tagName.toUpperCase();
+    if (HTML_SKIPPED_TAGS.has(tag) || node.hidden || node.getAttribute('aria-hidden') === 'true') return;
+    const heading = /^H([1-6])$/.exec(tag);
+    if (heading) {
+      flush();
+      const text = cleanInlineText(node.textContent);
+      if (text) blocks.push(`${'#'.repeat(Number(heading[1]))} ${text}`);
+      return;
+    }
+    if (tag === 'PRE') {
+      flush();
+      blocks.push(`\`\`\`\n${node.textContent.replace(/\n+$/, '')}\n\`\`\``);
+      return;
+    }
+    const isBlock = HTML_BLOCK_TAGS.has(tag);
+    if (isBlock) flush();
+    if (tag === 'LI') line += '- ';
+    if (tag === 'TD' || tag === 'TH') line += ' | ';
+    for (const child of node.childNodes) {
+      walk(child);
+    }
+    if (isBlock) flush();
+  };
+  walk(root);
+  flush();
+  return blocks.join('\n\n');
+}
+
+// One passage per row, each value labelled with its column header so a retrieved row reads on its own.
+async function extractCsvPassages(source, { format }) {
+  const text = await source.text();
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const delimiter =
+    format === 'tsv'
+      ? '\t'
+      : [',', ';', '\t'].reduce((best, candidate) =>
+          firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+        );
+  const rows = parseDelimitedRows(text, delimiter).filter((row) => row.some((cell) => cell.trim()));
+  const [header = [], ...records] = rows;
+  const columns = header.map((name, index) => name.trim() || `Column ${index + 1}`);
+  const passages = [];
+  records.forEach((cells, index) => {
+    const content = columns
+      .map((column, columnIndex) => [column, (cells[columnIndex] ?? '').trim()])
+      .filter(([, value]) => value)
+      .map(([column, value]) => `${column}: ${value}`)
+      .join('\n');
+    if (content) {
+      passages.push({ content, headingPath: [`Row ${index + 1}`], page: null });
+    }
+  });
+  return { passages, bytes: new Blob([text]).size };
+}
+
+function parseDelimitedRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && !cell) {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+async function extractDocxPassages(source) {
+  const buffer = await source.arrayBuffer();
+  const archive = openZipArchive(buffer);
+  const xml = await readZipText(archive, 'word/document.xml');
+  if (!xml) {
+    throw new Error('DOCX is missing word/document.xml');
+  }
+  const documentNode = parseXmlDocument(xml);
+  const blocks = [];
+  for (const paragraph of documentNode.getElementsByTagNameNS('*', 'p')) {
+    let text = '';
+    for (const node of paragraph.getElementsByTagNameNS('*', '*')) {
+      if (node.localName === 't') text += node.textContent;
+      else if (node.localName === 'tab') text += '\t';
+      else if (node.localName === 'br' || node.localName === 'cr') text += '\n';
+    }
+    text = text.trim();
+    if (!text) continue;
+    const styleNode = paragraph.getElementsByTagNameNS('*', 'pStyle')[0];
+    const style = styleNode?.getAttribute('w:val') || styleNode?.getAttribute('val') || '';
+    const level = style === 'Title' ? 1 : Number(/^heading\s?(\d)$/i.exec(style)?.[1] || 0);
+    blocks.push(level ? `${'#'.repeat(Math.min(level, 6))} ${cleanInlineText(text)}` : text);
+  }
+  const core = await readZipText(archive, 'docProps/core.xml');
+  const title = core ? cleanInlineText(parseXmlDocument(core).getElementsByTagNameNS('*', 'title')[0]?.textContent || '') : '';
+  return { title, passages: splitDocumentIntoPassages(blocks.join('\n\n'), { markdown: true }), bytes: buffer.byteLength };
+}
+
+async function extractEpubPassages(source) {
+  const buffer = await source.arrayBuffer();
+  const archive = openZipArchive(buffer);
+  const container = await readZipText(archive, 'META-INF/container.xml');
+  const packagePath = container
+    ? parseXmlDocument(container).getElementsByTagNameNS('*', 'rootfile')[0]?.getAttribute('full-path')
+    : null;
+  const packageXml = packagePath ? await readZipText(archive, packagePath) : null;
+  if (!packageXml) {
+    throw new Error('EPUB is missing its package document');
+  }
+  const packageDocument = parseXmlDocument(packageXml);
+  const title = cleanInlineText(packageDocument.getElementsByTagNameNS('*', 'title')[0]?.textContent || '');
+  const manifestItems = new Map();
+  for (const item of packageDocument.getElementsByTagNameNS('*', 'item')) {
+    manifestItems.set(item.getAttribute('id'), item);
+  }
+
+  const passages = [];
+  for (const itemRef of packageDocument.getElementsByTagNameNS('*', 'itemref')) {
+    const item = manifestItems.get(itemRef.getAttribute('idref'));
+    if (!item || !/html/.test(item.getAttribute('media-type') || '')) continue;
+    const chapterPath = resolveZipPath(packagePath, item.getAttribute('href') || '');
+    const markup = await readZipText(archive, chapterPath);
+    if (!markup) continue;
+    let chapter = new DOMParser().parseFromString(markup, 'application/xhtml+xml');
+    if (chapter.getElementsByTagName('parsererror').length) {
+      chapter = new DOMParser().parseFromString(markup, 'text/html');
+    }
+    const root = chapter.body || chapter.getElementsByTagNameNS('*', 'body')[0];
+    if (root) {
+      passages.push(...splitDocumentIntoPassages(renderHtmlText(root), { markdown: true }));
+    }
+  }
+  return { title, passages, bytes: buffer.byteLength };
+}
+
+async function extractCodePassages(source, { path, format, language }) {
+  const text = await source.text();
+  const extension = path.split('.').pop()?.toLowerCase() ?? '';
+  const chunks = chunkText(text, { chunkSize: PASSAGE_TARGET_TOKENS, overlap: 0, strategy: 'code', path });
+  return {
+    language: language || CODE_FILE_LANGUAGES[format] || CODE_FILE_LANGUAGES[extension] || 'Source code',
+    passages: chunks.map((chunk) => ({ content: chunk.content, headingPath: chunk.headingTrail, page: null })),
+    bytes: new Blob([text]).size
+  };
+}
+
+function parseXmlDocument(xml) {
+  const documentNode = new DOMParser().parseFromString(xml, 'application/xml');
+  if (documentNode.getElementsByTagName('parsererror').length) {
+    throw new Error('Malformed XML inside archive');
+  }
+  return documentNode;
+}
+
+function resolveZipPath(basePath, href) {
+  const segments = basePath.split('/').slice(0, -1);
+  for (const segment of decodeURIComponent(href.split('#')[0]).split('/')) {
+    if (segment === '..') segments.pop();
+    else if (segment && segment !== '.') segments.push(segment);
+  }
+  return segments.join('/');
+}
+
+// Minimal ZIP reader for DOCX/EPUB: walks the central directory and inflates entries with the browser's
+// DecompressionStream, so no archive library has to be shipped. ZIP64 and encrypted archives are not handled.
+function openZipArchive(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let endOfDirectory = -1;
+  for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset -= 1) {
+    if (view.getUint32(offset, true) === 0x06054b50) {
+      endOfDirectory = offset;
+      break;
+    }
+  }
+  if (endOfDirectory === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  let offset = view.getUint32(endOfDirectory + 16, true);
+  const entryCount = view.getUint16(endOfDirectory + 10, true);
+  for (let index = 0; index < entryCount; index += 1) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries.set(name, {
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return { bytes, view, entries };
+}
+
+async function readZipText(archive, name) {
+  const entry = archive.entries.get(name);
+  if (!entry) return null;
+  const { bytes, view } = archive;
+  const dataStart =
+    entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+  const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+  if (entry.method === 0) {
+    return new TextDecoder().decode(data);
+  }
+  if (entry.method !== 8) {
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
   }
-  return text;
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
 }
 
 function coerceExternalMessage(raw, defaults = {}) {
@@ -2718,6 +4296,9 @@ function coerceExternalMessage(raw, defaults = {}) {
   if (raw.metadata && !message.metadata) {
     message.metadata = raw.metadata;
   }
+  if (raw.source && typeof raw.source === 'object' && !message.source) {
+    message.source = raw.source;
+  }
   return message;
 }
 
@@ -2767,8 +4348,11 @@ async function hydrateFloatingMemoryFromRag() {
       }
     }
 
-    if (Array.isArray(staticBundle.records) && staticBundle.records.length) {
-      combinedRecords.push(...staticBundle.records);
+    // A chunked source is represented by its chunks; loading its manifest passages too would double it.
+    const chunkedPaths = new Set((chunkedRecords || []).map((record) => record.id));
+    const staticRecords = (staticBundle.records || []).filter((record) => !chunkedPaths.has(record.sourcePath));
+    if (staticRecords.length) {
+      combinedRecords.push(...staticRecords);
     }
 
     if (Array.isArray(chunkedRecords) && chunkedRecords.length) {
@@ -2789,6 +4373,9 @@ async function hydrateFloatingMemoryFromRag() {
     }
 
     let added = 0;
+    const fileRecords = new Set([...staticRecords, ...(chunkedRecords || [])]);
+    const fileMessageIds = new Set();
+    const fileOrigins = new Set();
     for (const record of combinedRecords) {
       if (!record || !Array.isArray(record.messages)) continue;
       for (const message of record.messages) {
@@ -2802,6 +4389,10 @@ async function hydrateFloatingMemoryFromRag() {
         });
         if (!entry || !entry.content) continue;
         const normalizedId = normalizeMessageId(entry.id ?? entry.timestamp);
+        if (fileRecords.has(record)) {
+          fileMessageIds.add(normalizedId);
+          fileOrigins.add(entry.origin);
+        }
         if (seen.has(normalizedId)) continue;
         if (entry.pinned) {
           pinnedMessageIds.add(normalizedId);
@@ -2812,6 +4403,12 @@ async function hydrateFloatingMemoryFromRag() {
       }
     }
 
+    // Index before trimming so passages that do not fit the floating budget stay retrievable.
+    syncFloatingMemoryIndex();
+    if (!staticBundle.errors?.length) {
+      pruneLexicalDocuments((id, document) => fileOrigins.has(document.origin) && !fileMessageIds.has(id));
+    }
+
     if (added > 0) {
       trimFloatingMemory();
       persistPinnedMessages();
@@ -2860,45 +4457,31 @@ async function loadChunkedRagRecords() {
     const seen = new Set();
 
     try {
-      const manifestResponse = await fetch('rag/manifest.json');
-      if (manifestResponse.ok) {
-        const manifest = await manifestResponse.json();
-        const files = Array.isArray(manifest.files) ? manifest.files : [];
-
-        for (const fileEntry of files) {
-          const originalPath = `rag/${fileEntry.path}`;
-          const chunkedPath = toChunkedPath(originalPath);
-          try {
-            const result = await loadChunkedFileData(chunkedPath, originalPath);
-            const chunkList = result?.data?.chunks;
-            if (Array.isArray(chunkList) && chunkList.length > 0) {
-              const messages = chunkList.map((chunk, index) => ({
-                id: `${originalPath}-chunk-${index}`,
-                role: 'archive',
-                content: chunk.content,
-                timestamp: Date.now() + index,
-                origin: 'rag-chunked',
-                mode: MODE_CHAT,
-                pinned: false
-              }));
-
-              const labelSuffix = result.source === 'ram' ? ' (RAM disk)' : '';
-              records.push({
-                id: originalPath,
-                label: `Chunked: ${originalPath}${labelSuffix}`,
-                mode: MODE_CHAT,
-                origin: 'rag-chunked',
-                messages,
-                bytes: estimateMessagesSize(messages)
-              });
-              seen.add(originalPath);
-              const locationLabel = result.source === 'ram' ? 'RAM disk' : 'workspace';
-              addSystemMessage(`✓ Loaded chunked file: ${fileEntry.path} (${chunkList.length} chunks, ${locationLabel})`);
-            }
-          } catch (fileError) {
-            console.warn(`Could not load chunked file ${chunkedPath}:`, fileError);
-            void recordLog('error', `Could not load chunked file ${chunkedPath}: ${fileError.message}`, { level: 'error' });
+      const sources = await collectChunkerSources({ discover: chunkerState.discover });
+      for (const { originalPath, label: fileLabel } of sources) {
+        const chunkedPath = toChunkedPath(originalPath);
+        try {
+          const result = await loadChunkedFileData(chunkedPath, originalPath);
+          const chunkList = result?.data?.chunks;
+          if (Array.isArray(chunkList) && chunkList.length > 0) {
+            const messages = buildChunkMessages(originalPath, chunkList);
+
+            const labelSuffix = result.source === 'ram' ? ' (RAM disk)' : '';
+            records.push({
+              id: originalPath,
+              label: `Chunked: ${originalPath}${labelSuffix}`,
+              mode: MODE_CHAT,
+              origin: 'rag-chunked',
+              messages,
+              bytes: estimateMessagesSize(messages)
+            });
+            seen.add(originalPath);
+            const locationLabel = result.source === 'ram' ? 'RAM disk' : 'workspace';
+            addSystemMessage(`✓ Loaded chunked file: ${fileLabel} (${chunkList.length} chunks, ${locationLabel})`);
           }
+        } catch (fileError) {
+          console.warn(`Could not load chunked file ${chunkedPath}:`, fileError);
+          void recordLog('error', `Could not load chunked file ${chunkedPath}: ${fileError.message}`, { level: 'error' });
         }
       }
     } catch (manifestError) {
@@ -2915,15 +4498,7 @@ async function loadChunkedRagRecords() {
       if (!chunkList.length) {
         continue;
       }
-      const messages = chunkList.map((chunk, index) => ({
-        id: `${originalPath}-chunk-${index}`,
-        role: 'archive',
-        content: chunk.content,
-        timestamp: Date.now() + index,
-        origin: 'rag-chunked',
-        mode: MODE_CHAT,
-        pinned: false
-      }));
+      const messages = buildChunkMessages(originalPath, chunkList);
 
       records.push({
         id: originalPath,
@@ -2943,39 +4518,200 @@ async function loadChunkedRagRecords() {
   return records;
 }
 
-async function manualRagReload() {
-  const previousLoad = ragTelemetry.lastLoad;
-  await hydrateFloatingMemoryFromRag();
-  if (ragTelemetry.lastLoadCount === 0) {
-    let message = previousLoad
-      ? 'RAG archives refreshed. No new memories were added this time.'
-      : 'Checked RAG archives. No saved memories were available to load.';
-    if (ragTelemetry.staticErrors && ragTelemetry.staticErrors.length) {
-      const errorLabel = ragTelemetry.staticErrors.length === 1 ? 'file' : 'files';
-      message += ` Skipped ${ragTelemetry.staticErrors.length} ${errorLabel}; open the debug console for more detail.`;
+function buildChunkMessages(idBase, chunkList, { path = idBase, origin = 'rag-chunked' } = {}) {
+  const now = Date.now();
+  return chunkList.map((chunk, index) => ({
+    id: `${idBase}-chunk-${index}`,
+    role: 'archive',
+    content: chunk.content,
+    timestamp: now + index,
+    origin,
+    mode: MODE_CHAT,
+    pinned: false,
+    source: {
+      path,
+      headingPath: Array.isArray(chunk.headingTrail) ? chunk.headingTrail : [],
+      page: chunk.page ?? null,
+      passage: index + 1,
+      passageCount: chunkList.length
     }
-    addSystemMessage(message);
-  }
+  }));
 }
 
-function toChunkedPath(originalPath) {
-  if (typeof originalPath !== 'string' || !originalPath) {
-    return '';
+async function ingestDocumentFiles(fileList) {
+  const files = Array.from(fileList || []);
+  if (!files.length) return;
+  if (chunkerState.isProcessing) {
+    addSystemMessage('Chunker is already processing. Please wait.');
+    return;
   }
-  if (originalPath.startsWith('rag/chunked/')) {
-    return originalPath;
+
+  const failures = [];
+  let ingestedFiles = 0;
+  let ingestedChunks = 0;
+  chunkerState.isProcessing = true;
+  chunkerState.notice = null;
+  try {
+    for (const [index, file] of files.entries()) {
+      chunkerState.activity = `📥 Ingesting ${file.name} (${index + 1}/${files.length})…`;
+      updateChunkerStatus();
+      try {
+        const count = await ingestDocumentFile(file);
+        ingestedFiles += 1;
+        ingestedChunks += count;
+        addSystemMessage(`📥 Added ${file.name} to long-term memory (${count} chunk${count === 1 ? '' : 's'}).`);
+      } catch (error) {
+        failures.push({ name: file.name, message: error.message || 'Unknown error' });
+        console.error(`Failed to ingest ${file.name}:`, error);
+        void recordLog('error', `Failed to ingest ${file.name}: ${error.message}`, { level: 'error' });
+      }
+    }
+  } finally {
+    chunkerState.isProcessing = false;
+    chunkerState.activity = null;
+    const summary = ingestedFiles
+      ? `📥 Ingested ${ingestedFiles} file${ingestedFiles === 1 ? '' : 's'} (${ingestedChunks} chunks).`
+      : '';
+    const failureNote = failures.length
+      ? `⚠️ Failed: ${failures.map((failure) => `${failure.name} (${failure.message})`).join(', ')}.`
+      : '';
+    chunkerState.notice = [summary, failureNote].filter(Boolean).join(' ') || null;
+    updateChunkerStatus();
   }
-  return originalPath.replace(/^rag\//, 'rag/chunked/');
-}
 
-function fromChunkedPath(chunkedPath) {
-  if (typeof chunkedPath !== 'string' || !chunkedPath) {
-    return '';
+  if (ingestedFiles) {
+    // Index before trimming so chunks that do not fit the floating budget stay retrievable.
+    syncFloatingMemoryIndex();
+    trimFloatingMemory();
+    renderFloatingMemoryWorkbench();
   }
-  if (chunkedPath.startsWith('rag/chunked/')) {
-    return chunkedPath.replace(/^rag\/chunked\//, 'rag/');
+  if (failures.length) {
+    addSystemMessage(`⚠️ Could not ingest ${failures.map((failure) => failure.name).join(', ')}. See the chunker status for details.`);
   }
-  return chunkedPath;
+}
+
+// Dropped documents become `rag-upload` records in the rag-logs store, so hydration brings them back on the
+// next load exactly like snapshots. Re-dropping a file with the same name replaces its previous chunks.
+async function ingestDocumentFile(file) {
+  const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+  if (!INGEST_FORMATS.has(extension)) {
+    throw new Error(`Unsupported file type${extension ? ` .${extension}` : ''}`);
+  }
+  const recordId = `upload-${slugify(file.name) || Date.now()}`;
+  const chunkOptions = {
+    chunkSize: chunkerState.chunkSize,
+    overlap: chunkerState.chunkOverlap,
+    strategy: chunkerState.strategy,
+    path: file.name
+  };
+
+  let messages;
+  let sourceHash;
+  if (SUPPORTED_RAG_JSON_FORMATS.has(extension)) {
+    const text = await file.text();
+    sourceHash = hashText(text);
+    messages = normalizeExternalMessagesFromJson(text, {
+      baseId: recordId,
+      role: 'archive',
+      origin: INGEST_ORIGIN,
+      mode: MODE_CHAT,
+      pinned: false
+    }).map((message) => ({ ...message, source: message.source ?? { path: file.name, headingPath: [], page: null } }));
+  } else if (resolveRagExtractor(extension)) {
+    const extracted = await resolveRagExtractor(extension)(file, { path: file.name, format: extension });
+    sourceHash = hashText(extracted.passages.map((passage) => passage.content).join('\n\n'));
+    messages = buildPassageMessages(extracted.passages, {
+      recordId,
+      path: file.name,
+      role: 'archive',
+      timestamp: Date.now(),
+      origin: INGEST_ORIGIN,
+      mode: MODE_CHAT,
+      pinned: false,
+      language: extracted.language
+    });
+  } else if (SUPPORTED_RAG_BINARY_FORMATS.has(extension)) {
+    const pages = await extractPdfPages(await file.arrayBuffer(), { label: file.name }).catch((error) => {
+      throw new Error(`PDF parse failed: ${error.message}`);
+    });
+    sourceHash = hashText(pages.join('\f'));
+    const chunks = pages.flatMap((pageText, index) =>
+      chunkText(pageText, chunkOptions).map((chunk) => ({ ...chunk, page: index + 1 }))
+    );
+    messages = buildChunkMessages(recordId, chunks, { path: file.name, origin: INGEST_ORIGIN });
+  } else {
+    const text = normalizeRagString(await file.text());
+    sourceHash = hashText(text);
+    messages = buildChunkMessages(recordId, chunkText(text, chunkOptions), { path: file.name, origin: INGEST_ORIGIN });
+  }
+  if (!messages.length) {
+    throw new Error('No readable text found');
+  }
+
+  const previous = await getRagRecord(recordId).catch(() => null);
+  if (Array.isArray(previous?.messages)) {
+    const staleIds = new Set(previous.messages.map((message) => normalizeMessageId(message.id)));
+    evictSourceMemories((id) => staleIds.has(normalizeMessageId(id)));
+  }
+  if (db) {
+    await putRagRecord({
+      id: recordId,
+      mode: MODE_CHAT,
+      type: 'upload',
+      origin: INGEST_ORIGIN,
+      label: file.name,
+      sourceHash,
+      size: file.size,
+      updatedAt: Date.now(),
+      messages
+    });
+  } else {
+    addSystemMessage(`⚠️ IndexedDB unavailable; ${file.name} is only kept for this session.`);
+  }
+
+  const seen = new Set(floatingMemory.map((item) => normalizeMessageId(item.id ?? item.timestamp)));
+  for (const message of messages) {
+    const entry = coerceExternalMessage(message, { baseId: recordId, origin: INGEST_ORIGIN, mode: MODE_CHAT });
+    if (!entry || seen.has(normalizeMessageId(entry.id))) continue;
+    floatingMemory.push(entry);
+    seen.add(normalizeMessageId(entry.id));
+  }
+  return messages.length;
+}
+
+async function manualRagReload() {
+  const previousLoad = ragTelemetry.lastLoad;
+  await hydrateFloatingMemoryFromRag();
+  if (ragTelemetry.lastLoadCount === 0) {
+    let message = previousLoad
+      ? 'RAG archives refreshed. No new memories were added this time.'
+      : 'Checked RAG archives. No saved memories were available to load.';
+    if (ragTelemetry.staticErrors && ragTelemetry.staticErrors.length) {
+      const errorLabel = ragTelemetry.staticErrors.length === 1 ? 'file' : 'files';
+      message += ` Skipped ${ragTelemetry.staticErrors.length} ${errorLabel}; open the debug console for more detail.`;
+    }
+    addSystemMessage(message);
+  }
+}
+
+function toChunkedPath(originalPath) {
+  if (typeof originalPath !== 'string' || !originalPath) {
+    return '';
+  }
+  if (originalPath.startsWith('rag/chunked/')) {
+    return originalPath;
+  }
+  return originalPath.replace(/^rag\//, 'rag/chunked/');
+}
+
+function fromChunkedPath(chunkedPath) {
+  if (typeof chunkedPath !== 'string' || !chunkedPath) {
+    return '';
+  }
+  if (chunkedPath.startsWith('rag/chunked/')) {
+    return chunkedPath.replace(/^rag\/chunked\//, 'rag/');
+  }
+  return chunkedPath;
 }
 
 function toUnchunkedPath(originalPath) {
@@ -3221,8 +4957,9 @@ async function loadRagFileContent(paths) {
   return null;
 }
 
+// A file back at its original path is newer than the copy a previous run moved into rag/unchunked/.
 async function detectUnchunkedFile(originalPath, manifestSize = 0) {
-  const candidatePaths = dedupePaths([toUnchunkedPath(originalPath), originalPath]);
+  const candidatePaths = dedupePaths([originalPath, toUnchunkedPath(originalPath)]);
   for (const path of candidatePaths) {
     try {
       const response = await fetch(path);
@@ -3258,6 +4995,53 @@ async function detectUnchunkedFile(originalPath, manifestSize = 0) {
   return null;
 }
 
+const CHUNKER_EXCLUDED_FILES = new Set(['manifest.json', 'README.md']);
+
+// Sources come from both STATIC_RAG_MANIFESTS (normalized exactly as hydration does) and, when enabled, a
+// recursive listing of rag/ through the dev server. Files found under rag/chunked/ or rag/unchunked/ map back
+// to their original path so moved sources and orphaned chunk records are checked too.
+async function collectChunkerSources({ discover = false } = {}) {
+  const sources = new Map();
+  const addSource = (originalPath, size = 0) => {
+    if (!originalPath || !originalPath.startsWith('rag/') || sources.has(originalPath)) return;
+    sources.set(originalPath, { originalPath, label: originalPath.slice(4), size });
+  };
+
+  for (const descriptor of STATIC_RAG_MANIFESTS) {
+    const manifest = await fetchRagManifest(descriptor);
+    for (const entry of normalizeRagManifestEntries(manifest)) {
+      if (!entry || entry.disabled || (Array.isArray(entry.messages) && entry.messages.length)) continue;
+      addSource(resolveManifestEntryPath(descriptor, entry), entry.size || 0);
+    }
+  }
+
+  if (discover && workspaceApi.available) {
+    try {
+      for (const item of await listWorkspaceFiles('rag', { recursive: true })) {
+        if (item.type !== 'file' || CHUNKER_EXCLUDED_FILES.has(item.path.split('/').pop())) continue;
+        if (item.path.startsWith('rag/chunked/')) {
+          addSource(fromChunkedPath(item.path));
+          continue;
+        }
+        const originalPath = item.path.replace(/^rag\/unchunked\//, 'rag/');
+        const extension = originalPath.split('.').pop()?.toLowerCase() ?? '';
+        if (
+          SUPPORTED_RAG_TEXT_FORMATS.has(extension) ||
+          SUPPORTED_RAG_JSON_FORMATS.has(extension) ||
+          CODE_FILE_EXTENSIONS.has(extension)
+        ) {
+          addSource(originalPath, item.size || 0);
+        }
+      }
+    } catch (error) {
+      console.warn('Could not list rag/ through the workspace API:', error);
+      void recordLog('error', `Chunker folder discovery failed: ${error.message}`, { level: 'error' });
+    }
+  }
+
+  return Array.from(sources.values());
+}
+
 async function scanForChunkableFiles() {
   if (chunkerState.isProcessing) {
     addSystemMessage('Chunker is already processing. Please wait.');
@@ -3266,15 +5050,14 @@ async function scanForChunkableFiles() {
 
   try {
     chunkerState.isProcessing = true;
+    chunkerState.notice = null;
     updateChunkerStatus();
 
     addSystemMessage('🔍 Scanning rag/ folder for chunkable files...');
-
-    const response = await fetch('rag/manifest.json');
-    if (!response.ok) {
-      throw new Error('Could not load RAG manifest');
+    if (chunkerState.discover && !workspaceApi.available) {
+      addSystemMessage('⚠️ Folder discovery needs the dev server workspace API; scanning manifests only.');
     }
-    const manifest = await response.json();
+    const sources = await collectChunkerSources({ discover: chunkerState.discover });
 
     chunkerState.unchunkedFiles = [];
     chunkerState.chunkedFiles = [];
@@ -3282,16 +5065,33 @@ async function scanForChunkableFiles() {
 
     const seenChunked = new Set();
     const seenUnchunked = new Set();
-    const manifestFiles = Array.isArray(manifest.files) ? manifest.files : [];
+    const changelog = [];
 
-    for (const entry of manifestFiles) {
-      const filePath = `rag/${entry.path}`;
+    for (const entry of sources) {
+      const filePath = entry.originalPath;
       const chunkedPath = toChunkedPath(filePath);
 
       try {
         const chunkedRecord = await loadChunkedFileData(chunkedPath, filePath);
         const chunkList = chunkedRecord?.data?.chunks;
         if (Array.isArray(chunkList) && chunkList.length > 0) {
+          const descriptor = await detectUnchunkedFile(filePath, entry.size || 0);
+          if (!descriptor) {
+            await dropChunkedRecord(filePath, chunkedPath, { deleteFile: true });
+            seenChunked.add(filePath);
+            changelog.push({ change: 'deleted', path: filePath, detail: `${chunkList.length} chunks removed` });
+            addSystemMessage(`🗑️ Source gone, dropped chunks: ${entry.label}`);
+            continue;
+          }
+          const staleReason = describeChunkStaleness(chunkedRecord.data, descriptor);
+          if (staleReason) {
+            chunkerState.unchunkedFiles.push({ ...descriptor, reason: staleReason });
+            seenChunked.add(filePath);
+            seenUnchunked.add(filePath);
+            changelog.push({ change: 'changed', path: filePath, detail: staleReason });
+            addSystemMessage(`♻️ Needs re-chunking: ${entry.label} (${staleReason})`);
+            continue;
+          }
           chunkerState.chunkedFiles.push({
             originalPath: filePath,
             chunkedPath,
@@ -3301,7 +5101,7 @@ async function scanForChunkableFiles() {
           chunkerState.totalChunks += chunkList.length;
           seenChunked.add(filePath);
           const locationLabel = chunkedRecord.source === 'ram' ? 'RAM disk' : 'workspace';
-          addSystemMessage(`✓ Found chunked: ${entry.path} (${chunkList.length} chunks, ${locationLabel})`);
+          addSystemMessage(`✓ Found chunked: ${entry.label} (${chunkList.length} chunks, ${locationLabel})`);
           continue;
         }
 
@@ -3309,13 +5109,14 @@ async function scanForChunkableFiles() {
         if (descriptor) {
           chunkerState.unchunkedFiles.push(descriptor);
           seenUnchunked.add(filePath);
+          changelog.push({ change: 'new', path: filePath });
           const locationLabel = descriptor.source === 'ram' ? 'RAM disk' : 'workspace';
           const icon = descriptor.source === 'ram' ? '📦' : '📁';
-          addSystemMessage(`${icon} Found unchunked: ${entry.path} (${locationLabel})`);
+          addSystemMessage(`${icon} Found unchunked: ${entry.label} (${locationLabel})`);
         }
       } catch (error) {
         console.warn(`Error checking ${filePath}:`, error);
-        addSystemMessage(`⚠️ Could not check ${entry.path}`);
+        addSystemMessage(`⚠️ Could not check ${entry.label}`);
       }
     }
 
@@ -3328,6 +5129,23 @@ async function scanForChunkableFiles() {
       if (!chunks.length) {
         continue;
       }
+      seenChunked.add(originalPath);
+      const label = originalPath.startsWith('rag/') ? originalPath.slice(4) : originalPath;
+      const descriptor = await detectUnchunkedFile(originalPath);
+      if (!descriptor) {
+        await dropChunkedRecord(originalPath, path, { deleteFile: false });
+        changelog.push({ change: 'deleted', path: originalPath, detail: `${chunks.length} chunks removed` });
+        addSystemMessage(`🗑️ Source gone, dropped chunks: ${label} (RAM disk)`);
+        continue;
+      }
+      const staleReason = describeChunkStaleness(data, descriptor);
+      if (staleReason) {
+        chunkerState.unchunkedFiles.push({ ...descriptor, reason: staleReason });
+        seenUnchunked.add(originalPath);
+        changelog.push({ change: 'changed', path: originalPath, detail: staleReason });
+        addSystemMessage(`♻️ Needs re-chunking: ${label} (${staleReason})`);
+        continue;
+      }
       chunkerState.chunkedFiles.push({
         originalPath,
         chunkedPath: toChunkedPath(originalPath),
@@ -3335,8 +5153,6 @@ async function scanForChunkableFiles() {
         source: 'ram'
       });
       chunkerState.totalChunks += chunks.length;
-      seenChunked.add(originalPath);
-      const label = originalPath.startsWith('rag/') ? originalPath.slice(4) : originalPath;
       addSystemMessage(`✓ Found chunked: ${label} (${chunks.length} chunks, RAM disk)`);
     }
 
@@ -3354,10 +5170,12 @@ async function scanForChunkableFiles() {
       };
       chunkerState.unchunkedFiles.push(descriptor);
       seenUnchunked.add(originalPath);
+      changelog.push({ change: 'new', path: originalPath });
       const label = originalPath.startsWith('rag/') ? originalPath.slice(4) : originalPath;
       addSystemMessage(`📦 Found unchunked: ${label} (RAM disk)`);
     }
 
+    recordChunkerChangelog(changelog);
     updateChunkerStatus();
     addSystemMessage(`✅ Scan complete. Found ${chunkerState.unchunkedFiles.length} files to chunk, ${chunkerState.chunkedFiles.length} already chunked.`);
 
@@ -3394,22 +5212,34 @@ async function chunkAllFiles() {
         const originalPath = file.originalPath || file.path;
         const displayPath = originalPath || file.path;
         addSystemMessage(`Chunking ${displayPath}...`);
-        const chunks = await chunkFile(file, chunkerState.chunkSize, chunkerState.chunkOverlap);
+        const { chunks, sourceHash } = await chunkFile(
+          file,
+          chunkerState.chunkSize,
+          chunkerState.chunkOverlap,
+          chunkerState.strategy
+        );
         if (Array.isArray(chunks) && chunks.length > 0) {
           const chunkedData = {
             originalPath,
+            sourceHash,
             chunkSize: chunkerState.chunkSize,
             chunkOverlap: chunkerState.chunkOverlap,
+            strategy: chunks[0].strategy,
             chunks,
             createdAt: new Date().toISOString()
           };
 
           // Save chunked file to rag/chunked/
           const chunkedPath = toChunkedPath(originalPath);
+          if (file.reason) {
+            await dropChunkedRecord(originalPath, chunkedPath, { deleteFile: false });
+          }
           const saveLocation = await saveChunkedFileToFS(chunkedPath, chunkedData);
 
-          // Move original to rag/unchunked/
-          await moveToUnchunkedFS(file.path, originalPath);
+          // Move original to rag/unchunked/ (a re-chunked source may already live there)
+          if (file.path !== toUnchunkedPath(originalPath)) {
+            await moveToUnchunkedFS(file.path, originalPath);
+          }
 
           chunkerState.chunkedFiles.push({
             originalPath,
@@ -3422,6 +5252,11 @@ async function chunkAllFiles() {
           processedCount++;
           const locationLabel = saveLocation === 'ram' ? 'RAM disk' : 'workspace';
           addSystemMessage(`✓ Chunked ${displayPath} into ${chunks.length} chunks (${locationLabel})`);
+          void recordLog(
+            'chunker',
+            `${file.reason ? 're-chunked' : 'chunked'}: ${originalPath} into ${chunks.length} chunks${file.reason ? ` (${file.reason})` : ''}`,
+            { silent: true }
+          );
         }
       } catch (error) {
         const originalPath = file.originalPath || file.path;
@@ -3446,7 +5281,74 @@ async function chunkAllFiles() {
   }
 }
 
-async function chunkFile(fileDescriptor, chunkSize, overlap) {
+// Chunked records remember the source hash and the settings that produced them; any mismatch means the
+// stored chunks no longer describe the source. Returns a short reason, or null when the record is current.
+function describeChunkStaleness(data, descriptor) {
+  if (!data?.sourceHash) {
+    return 'no source hash recorded';
+  }
+  const content = typeof descriptor?.ramContent === 'string' ? normalizeRagString(descriptor.ramContent) : null;
+  if (content !== null && hashText(content) !== data.sourceHash) {
+    return 'source changed';
+  }
+  const changedSettings = [];
+  if (data.chunkSize !== chunkerState.chunkSize) changedSettings.push(`size ${data.chunkSize} → ${chunkerState.chunkSize}`);
+  if (data.chunkOverlap !== chunkerState.chunkOverlap) {
+    changedSettings.push(`overlap ${data.chunkOverlap} → ${chunkerState.chunkOverlap}`);
+  }
+  const strategy = resolveChunkStrategy(chunkerState.strategy, data.originalPath || descriptor?.originalPath || '');
+  if (data.strategy !== strategy) changedSettings.push(`strategy ${data.strategy || 'legacy'} → ${strategy}`);
+  return changedSettings.length ? `settings changed: ${changedSettings.join(', ')}` : null;
+}
+
+// Removes a chunked record from the RAM disk (and optionally the workspace) along with the chunk memories it
+// contributed, so a re-chunked or deleted source leaves nothing stale behind for retrieval.
+async function dropChunkedRecord(originalPath, chunkedPath, { deleteFile = false } = {}) {
+  for (const path of dedupePaths([chunkedPath, toChunkedPath(originalPath), originalPath])) {
+    ramDiskCache.chunked.delete(path);
+    window.localStorage.removeItem(`${RAM_DISK_CHUNK_PREFIX}${path}`);
+  }
+  if (deleteFile && chunkedPath && workspaceApi.available) {
+    try {
+      await deleteWorkspaceFile(chunkedPath);
+    } catch (error) {
+      console.debug(`Could not delete ${chunkedPath}:`, error);
+    }
+  }
+
+  const prefix = `${originalPath}-chunk-`;
+  evictSourceMemories((id) => String(id).startsWith(prefix));
+}
+
+function evictSourceMemories(matchesId) {
+  const before = floatingMemory.length;
+  floatingMemory = floatingMemory.filter((item) => !matchesId(item.id));
+  pinnedMessageIds.forEach((id) => {
+    if (matchesId(id)) pinnedMessageIds.delete(id);
+  });
+  pruneLexicalDocuments((id) => matchesId(id));
+  if (floatingMemory.length !== before) {
+    persistPinnedMessages();
+    updateMemoryStatus();
+    renderFloatingMemoryWorkbench();
+  }
+}
+
+function recordChunkerChangelog(changelog) {
+  if (!changelog.length) {
+    void recordLog('chunker', 'Scan found no new, changed or deleted sources.', { silent: true });
+    return;
+  }
+  for (const { change, path, detail } of changelog) {
+    void recordLog('chunker', `${change}: ${path}${detail ? ` (${detail})` : ''}`, { silent: true });
+  }
+  const counts = ['new', 'changed', 'deleted'].map(
+    (change) => `${changelog.filter((item) => item.change === change).length} ${change}`
+  );
+  void recordLog('chunker', `Scan changelog: ${counts.join(', ')}.`, { silent: true });
+}
+
+async function chunkFile(fileDescriptor, chunkSize, overlap, strategy = 'auto') {
   const descriptor =
     typeof fileDescriptor === 'string'
       ? { path: fileDescriptor, originalPath: fileDescriptor }
@@ -3474,119 +5376,270 @@ async function chunkFile(fileDescriptor, chunkSize, overlap) {
       }
     }
 
+    const sourceHash = hashText(sourceContent);
     if (!sourceContent.trim()) {
-      return [];
+      return { chunks: [], sourceHash };
     }
 
-    const segments = sourceContent.split(/\n\s*\n/).filter((segment) => segment.trim());
-    const chunks = [];
-    let currentChunk = '';
-    let currentTokens = 0;
-
-    for (const segment of segments) {
-      const segmentTokens = estimateTokenCount(segment);
+    return { chunks: chunkText(sourceContent, { chunkSize, overlap, strategy, path: label }), sourceHash };
+  } catch (error) {
+    console.error(`Error chunking file ${label}:`, error);
+    void recordLog('error', `Error chunking file ${label}: ${error.message}`, { level: 'error' });
+    throw error;
+  }
+}
 
-      if (currentTokens + segmentTokens > chunkSize && currentChunk.trim()) {
-        chunks.push({
-          content: currentChunk.trim(),
-          tokens: currentTokens,
-          startIndex: chunks.length * (chunkSize - overlap)
-        });
+function resolveChunkStrategy(strategy, path = '') {
+  if (strategy && strategy !== 'auto' && CHUNK_STRATEGIES.has(strategy)) return strategy;
+  const extension = path.split('.').pop()?.toLowerCase() ?? '';
+  if (SUPPORTED_RAG_MARKDOWN_FORMATS.has(extension)) return 'markdown';
+  if (CODE_FILE_EXTENSIONS.has(extension)) return 'code';
+  return 'recursive';
+}
+
+// Every strategy reduces to the same token-window packer; strategies only differ in where they prefer to
+// cut. Consecutive chunks share exactly `overlap` tokens, verbatim, except where a Markdown heading starts a
+// fresh section.
+function chunkText(text, { chunkSize, overlap = 0, strategy = 'auto', path = '' }) {
+  const resolvedStrategy = resolveChunkStrategy(strategy, path);
+  const starts = [];
+  for (const match of text.matchAll(CHUNK_TOKEN_PATTERN)) {
+    starts.push(match.index);
+  }
+  const tokenCount = starts.length;
+  if (!tokenCount) return [];
+  const size = Math.max(1, Math.round(chunkSize));
+  const sharedTokens = Math.min(Math.max(0, Math.round(overlap)), Math.floor(size / 2));
+
+  const { breaks, trails } = collectChunkBreaks(text, starts, resolvedStrategy);
+  const tokenEnd = (index) => (index < tokenCount ? starts[index] : text.length);
+  const chunks = [];
+  let trailCursor = 0;
+  let start = 0;
+  while (start < tokenCount) {
+    const end = findChunkEnd(breaks, start, size, sharedTokens, tokenCount);
+    const raw = text.slice(starts[start], tokenEnd(end));
+    const leading = raw.length - raw.trimStart().length;
+    const content = raw.trim();
+    if (content) {
+      const startOffset = starts[start] + leading;
+      while (trailCursor + 1 < trails.length && trails[trailCursor + 1].offset <= startOffset) {
+        trailCursor += 1;
+      }
+      chunks.push({
+        index: chunks.length,
+        content,
+        tokens: end - start,
+        startOffset,
+        endOffset: startOffset + content.length,
+        headingTrail: trails[trailCursor]?.offset <= startOffset ? [...trails[trailCursor].trail] : [],
+        hash: hashText(content),
+        strategy: resolvedStrategy
+      });
+    }
+    if (end >= tokenCount) break;
+    start = breaks[end] === CHUNK_BREAK_FORCED ? end : Math.max(end - sharedTokens, start + 1);
+  }
+  return chunks;
+}
 
-        const overlapText = extractOverlapText(currentChunk, overlap);
-        currentChunk = overlapText ? overlapText + segment : segment;
-        currentTokens = estimateTokenCount(currentChunk);
+// A forced break inside the window always wins. Otherwise the highest-priority break in the back half of the
+// window is used (latest on ties), then any break that still leaves room for the overlap, then a hard cut.
+function findChunkEnd(breaks, start, size, sharedTokens, tokenCount) {
+  const limit = Math.min(tokenCount, start + size);
+  for (let index = start + 1; index < limit; index += 1) {
+    if (breaks[index] === CHUNK_BREAK_FORCED) return index;
+  }
+  if (limit >= tokenCount) return tokenCount;
+  const pickBest = (from) => {
+    let best = -1;
+    let bestPriority = 0;
+    for (let index = limit; index >= from; index -= 1) {
+      if (breaks[index] > bestPriority) {
+        best = index;
+        bestPriority = breaks[index];
+      }
+    }
+    return best;
+  };
+  const preferred = pickBest(Math.max(start + sharedTokens + 1, start + Math.ceil(size / 2)));
+  if (preferred > 0) return preferred;
+  const fallback = pickBest(start + sharedTokens + 1);
+  return fallback > 0 ? fallback : limit;
+}
+
+// breaks[i] is the priority of cutting just before token i (0 = never preferred). trails lists the heading
+// (or declaration) path in effect from each offset onward.
+function collectChunkBreaks(text, starts, strategy) {
+  const breaks = new Uint8Array(starts.length + 1);
+  const trails = [];
+  const tokenAt = (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) {
+        low = mid;
       } else {
-        currentChunk += (currentChunk ? '\n\n' : '') + segment;
-        currentTokens += segmentTokens;
+        high = mid - 1;
       }
     }
+    return low;
+  };
+  const mark = (offset, priority) => {
+    const index = tokenAt(offset);
+    if (index > 0 && breaks[index] < priority) {
+      breaks[index] = priority;
+    }
+  };
+  const markAll = (pattern, priority, useEnd = true) => {
+    for (const match of text.matchAll(pattern)) {
+      mark(useEnd ? match.index + match[0].length : match.index, priority);
+    }
+  };
 
-    if (currentChunk.trim()) {
-      chunks.push({
-        content: currentChunk.trim(),
-        tokens: currentTokens,
-        startIndex: chunks.length * (chunkSize - overlap)
-      });
+  if (strategy === 'fixed') {
+    return { breaks, trails };
+  }
+  if (strategy === 'sentence') {
+    markAll(/[.!?]+["')\]]*\s+/g, 2);
+    markAll(/\n[ \t]*\n\s*/g, 2);
+    return { breaks, trails };
+  }
+  if (strategy === 'code') {
+    markAll(/\n/g, 2);
+    markAll(/\n[ \t]*\n/g, 3);
+    for (const match of text.matchAll(CODE_DECLARATION_PATTERN)) {
+      mark(match.index, 4);
+      trails.push({ offset: match.index, trail: [match[0].trim().slice(0, 120)] });
+    }
+    return { breaks, trails };
+  }
+
+  // recursive and markdown: paragraphs, then lines, then sentences, then any word boundary.
+  for (let index = 1; index < starts.length; index += 1) {
+    if (/\s/.test(text[starts[index]])) {
+      breaks[index] = 1;
+    }
+  }
+  markAll(/[.!?]+["')\]]*\s+/g, 2);
+  markAll(/\n/g, 3);
+  markAll(/\n[ \t]*\n\s*/g, 4);
+
+  if (strategy === 'markdown') {
+    const path = [];
+    let insideFence = false;
+    let offset = 0;
+    for (const line of text.split('\n')) {
+      if (/^\s*(```|~~~)/.test(line)) {
+        insideFence = !insideFence;
+      } else if (!insideFence) {
+        const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+          path.length = Math.min(path.length, heading[1].length - 1);
+          path.push(heading[2]);
+          mark(offset, CHUNK_BREAK_FORCED);
+          trails.push({ offset, trail: [...path] });
+        }
+      }
+      offset += line.length + 1;
     }
+  }
+  return { breaks, trails };
+}
 
-    return chunks;
+async function detectWorkspaceApi() {
+  const token = document.querySelector(`meta[name="${WORKSPACE_TOKEN_META}"]`)?.content || null;
+  workspaceApi = { available: false, token, error: null };
+  if (!token) {
+    workspaceApi.error = 'This server does not accept writes.';
+    updateChunkerStatus();
+    return false;
+  }
+  try {
+    await workspaceRequest('/status');
+    workspaceApi.available = true;
   } catch (error) {
-    console.error(`Error chunking file ${label}:`, error);
-    void recordLog('error', `Error chunking file ${label}: ${error.message}`, { level: 'error' });
-    throw error;
+    workspaceApi.error = `Workspace API unavailable: ${error.message}`;
+    console.warn(workspaceApi.error);
   }
+  updateChunkerStatus();
+  return workspaceApi.available;
 }
 
-function extractOverlapText(text, overlapTokens) {
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim());
-  let overlapText = '';
-  let tokens = 0;
-
-  for (let i = sentences.length - 1; i >= 0; i--) {
-    const sentence = sentences[i].trim();
-    if (!sentence) continue;
+async function workspaceRequest(route, { method = 'GET', params = {}, body, contentType } = {}) {
+  const query = new URLSearchParams(params).toString();
+  const headers = { 'X-Workspace-Token': workspaceApi.token || '' };
+  if (contentType) {
+    headers['Content-Type'] = contentType;
+  }
+  const response = await fetch(`${WORKSPACE_API_BASE}${route}${query ? `?${query}` : ''}`, {
+    method,
+    headers,
+    body,
+    cache: 'no-store'
+  });
+  if (!response.ok) {
+    const payload = await response.json().catch(() => null);
+    throw new Error(payload?.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response;
+}
 
-    const sentenceTokens = estimateTokenCount(sentence);
-    if (tokens + sentenceTokens > overlapTokens) {
-      break;
-    }
+async function writeWorkspaceFile(path, content, contentType = 'text/plain') {
+  await workspaceRequest('/file', { method: 'PUT', params: { path }, body: content, contentType });
+}
 
-    overlapText = sentence + (overlapText ? '. ' : '') + overlapText;
-    tokens += sentenceTokens;
-  }
+async function deleteWorkspaceFile(path) {
+  await workspaceRequest('/file', { method: 'DELETE', params: { path } });
+}
 
-  return overlapText;
+async function listWorkspaceFiles(path, { recursive = false } = {}) {
+  const response = await workspaceRequest('/list', { params: { path, recursive: recursive ? '1' : '0' } });
+  const payload = await response.json();
+  return Array.isArray(payload.entries) ? payload.entries : [];
 }
 
 async function saveChunkedFileToFS(path, data) {
   const payloadForCache = { ...data, chunkedPath: path };
   cacheChunkedInRam([path, data?.originalPath], payloadForCache);
-  try {
-    const response = await fetch(path, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data, null, 2)
-    });
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    console.log(`Saved chunked file to ${path}`);
-    return 'workspace';
-  } catch (error) {
-    console.error('Error saving chunked file to FS:', error);
+  if (workspaceApi.available) {
     try {
-      window.localStorage.setItem(`${RAM_DISK_CHUNK_PREFIX}${path}`, JSON.stringify(payloadForCache));
-      cacheChunkedInRam([path, data?.originalPath], payloadForCache);
-      console.log(`Fallback: Saved chunked file to localStorage: ${RAM_DISK_CHUNK_PREFIX}${path}`);
-    } catch (storageError) {
-      console.warn('Failed to persist chunked file to localStorage:', storageError);
+      await writeWorkspaceFile(path, JSON.stringify(data, null, 2), 'application/json');
+      // A RAM-disk copy from an earlier offline run would otherwise shadow the fresh file on the next scan.
+      window.localStorage.removeItem(`${RAM_DISK_CHUNK_PREFIX}${path}`);
+      console.log(`Saved chunked file to ${path}`);
+      return 'workspace';
+    } catch (error) {
+      console.error('Error saving chunked file to workspace:', error);
     }
-    return 'ram';
   }
+  try {
+    window.localStorage.setItem(`${RAM_DISK_CHUNK_PREFIX}${path}`, JSON.stringify(payloadForCache));
+    console.log(`Fallback: Saved chunked file to localStorage: ${RAM_DISK_CHUNK_PREFIX}${path}`);
+  } catch (storageError) {
+    console.warn('Failed to persist chunked file to localStorage:', storageError);
+  }
+  return 'ram';
 }
 
 async function moveToUnchunkedFS(fromPath, originalPath) {
   const sourcePath = originalPath || fromPath;
   const unchunkedPath = toUnchunkedPath(sourcePath);
-  try {
-    const response = await fetch(fromPath);
-    if (response.ok) {
-      const content = await response.text();
-      const moveResponse = await fetch(unchunkedPath, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'text/plain' },
-        body: content
-      });
-      if (moveResponse.ok) {
-        await fetch(fromPath, { method: 'DELETE' });
+  if (workspaceApi.available) {
+    try {
+      const response = await fetch(fromPath, { cache: 'no-store' });
+      if (response.ok) {
+        const content = await response.text();
+        await writeWorkspaceFile(unchunkedPath, content, 'text/plain');
+        await deleteWorkspaceFile(fromPath);
         cacheUnchunkedInRam([sourcePath, unchunkedPath], content);
         console.log(`Moved ${fromPath} to ${unchunkedPath}`);
         return 'workspace';
       }
+    } catch (error) {
+      console.warn('Could not move file to unchunked folder, using localStorage fallback:', error);
     }
-  } catch (error) {
-    console.warn('Could not move file to unchunked folder, using localStorage fallback:', error);
   }
 
   try {
@@ -3627,24 +5680,24 @@ function clearAllChunks() {
     );
     keys.forEach(key => window.localStorage.removeItem(key));
 
-    // Try to delete files from file system
+    // Delete files from the workspace when the dev server allows writes
     const deletePromises = [];
+    const deleteFromWorkspace = (path) => {
+      if (!workspaceApi.available) return;
+      deletePromises.push(
+        deleteWorkspaceFile(path)
+          .then(() => addSystemMessage(`✓ Deleted ${path}`))
+          .catch(() => addSystemMessage(`⚠️ Could not delete ${path}`))
+      );
+    };
     chunkerState.chunkedFiles.forEach(file => {
       if (file.chunkedPath) {
-        deletePromises.push(
-          fetch(file.chunkedPath, { method: 'DELETE' })
-            .then(() => addSystemMessage(`✓ Deleted ${file.chunkedPath}`))
-            .catch(() => addSystemMessage(`⚠️ Could not delete ${file.chunkedPath}`))
-        );
+        deleteFromWorkspace(file.chunkedPath);
       }
     });
     chunkerState.unchunkedFiles.forEach(file => {
       if (file.path && file.path.includes('/unchunked/')) {
-        deletePromises.push(
-          fetch(file.path, { method: 'DELETE' })
-            .then(() => addSystemMessage(`✓ Deleted ${file.path}`))
-            .catch(() => addSystemMessage(`⚠️ Could not delete ${file.path}`))
-        );
+        deleteFromWorkspace(file.path);
       }
     });
 
@@ -3677,9 +5730,21 @@ async function handleUserMessage() {
 
 async function respondToUser(userEntry) {
   updateProcessState('modelA', { status: 'Retrieving', detail: 'Gathering relevant memories.' });
+  let streamRenderer = null;
+  // Registered before retrieval so Stop also cancels the query-rewrite call made while the prompt is built.
+  const request = beginModelRequest(CHAT_REQUEST_KEY, 'modelA');
   try {
-    const { messages, retrievedMemories } = await buildModelMessages(userEntry);
-    registerRetrieval('A', retrievedMemories.length);
+    const { messages, retrievedMemories, evictedTurns, retrievalTrace } = await buildModelMessages(
+      userEntry,
+      request.signal
+    );
+    if (request.signal.aborted) {
+      addSystemMessage('Reply cancelled before any text arrived.');
+      updateModelStatus('Reply cancelled', 'status-pill--idle');
+      updateProcessState('modelA', { status: 'Cancelled', detail: 'Request stopped by user.' });
+      return;
+    }
+    registerRetrieval('A', retrievedMemories.length, retrievalTrace.rewritten ? retrievalTrace.queries : []);
     if (!config.endpoint || !config.model) {
       addSystemMessage('Configure the model endpoint and name to receive AI replies.');
       updateModelConnectionStatus();
@@ -3691,15 +5756,31 @@ async function respondToUser(userEntry) {
       status: 'Contacting model',
       detail: `Calling ${config.model || 'configured model'} at ${config.endpoint}`
     });
-    modelAInFlight = true;
-    const { content: response, truncated, reasoning } = await callModel(messages);
+    streamRenderer = config.streamResponses ? createStreamingChatMessage() : null;
+    const { content: response, truncated, reasoning, cancelled, notice, providerLabel } = await callModelWithFailover(
+      messages,
+      { onToken: streamRenderer?.update, signal: request.signal },
+      { fallbackPresets: config.fallbackPresets, processKey: 'modelA' }
+    );
+    if (notice) {
+      addSystemMessage(notice);
+    }
+    if (!response && cancelled) {
+      streamRenderer?.discard();
+      addSystemMessage('Reply cancelled before any text arrived.');
+      updateModelStatus('Reply cancelled', 'status-pill--idle');
+      updateProcessState('modelA', { status: 'Cancelled', detail: 'Request stopped by user.' });
+      setTimeout(() => updateModelConnectionStatus(), 1500);
+      return;
+    }
     if (!response) {
-      updateModelStatus('Model returned empty response', 'status-pill--idle');
-      updateProcessState('modelA', { status: 'Idle', detail: 'Model returned empty response.' });
+      streamRenderer?.discard();
+      updateModelStatus(notice ? 'Reply blocked' : 'Model returned empty response', 'status-pill--idle');
+      updateProcessState('modelA', { status: 'Idle', detail: notice || 'Model returned empty response.' });
       setTimeout(() => updateModelConnectionStatus(), 1500);
       return;
     }
-    updateModelStatus('Model response received', 'status-pill--ready');
+    updateModelStatus(cancelled ? 'Reply cancelled' : 'Model response received', 'status-pill--ready');
     if (truncated) {
       addSystemMessage(
         `Assistant reply trimmed to stay within the ~${config.maxResponseTokens} token response guard.`
@@ -3715,16 +5796,26 @@ async function respondToUser(userEntry) {
     if (truncated) {
       badgeParts.push('trimmed');
     }
-    await appendMessage('assistant', response, {
-      badge: badgeParts.length ? badgeParts.join(' • ') : undefined,
-      metadata: { retrievedMemories, truncated }
+    if (cancelled) {
+      badgeParts.push('cancelled');
+    }
+    badgeParts.push(`via ${providerLabel}`);
+    const assistantEntry = await appendMessage('assistant', response, {
+      badge: badgeParts.join(' • '),
+      metadata: { retrievedMemories, truncated, cancelled, providerLabel },
+      replaceNode: streamRenderer?.node
     });
+    recordRetrievalTrace(assistantEntry, { ...retrievalTrace, providerLabel });
+    void compactEvictedTurns(MODE_CHAT, evictedTurns);
     updateProcessState('modelA', {
-      status: 'Reply delivered',
-      detail: `Last reply contained ~${estimateTokenCount(response)} tokens.`
+      status: cancelled ? 'Cancelled' : 'Reply delivered',
+      detail: cancelled
+        ? `Stopped by user after ~${estimateTokenCount(response)} tokens.`
+        : `Last reply contained ~${estimateTokenCount(response)} tokens.`
     });
     setTimeout(() => updateModelConnectionStatus(), 1200);
   } catch (error) {
+    streamRenderer?.discard();
     console.error('Model error', error);
     const errorMessage = error.message || 'Unknown error occurred';
     addSystemMessage(`Model error: ${errorMessage}`);
@@ -3733,38 +5824,588 @@ async function respondToUser(userEntry) {
     void recordLog('error', `Model A error: ${errorMessage}`, { level: 'error' });
     setTimeout(() => updateModelConnectionStatus(), 3000);
   } finally {
-    modelAInFlight = false;
+    finishModelRequest(CHAT_REQUEST_KEY, request);
     setTimeout(() => {
       updateProcessState('modelA', { status: 'Idle', detail: 'Waiting for user prompt.' });
     }, 400);
   }
 }
 
-async function buildModelMessages(userEntry) {
+async function buildModelMessages(userEntry, signal) {
   const messages = [];
-  const retrievedMemories = await retrieveRelevantMemories(userEntry.content, config.retrievalCount);
+  const systemMessages = config.systemPrompt?.trim()
+    ? [{ role: 'system', content: config.systemPrompt.trim() }]
+    : [];
+  const summaryMessage = buildSummaryMessage(MODE_CHAT);
+  if (summaryMessage) {
+    systemMessages.push(summaryMessage);
+  }
+  const userMessage = { role: 'user', content: userEntry.content };
+  const renderMemories = (items) =>
+    `Relevant long-term memories. ${MEMORY_CITATION_INSTRUCTION}\n${formatMemoryLines(items)}`;
+  const queryPlan = await planRetrievalQueries(userEntry, signal);
+  const scoredMemories = await retrieveFusedMemories(queryPlan.queries, config.retrievalCount);
+  const candidateMemories = fitMemoriesToTokenBudget(
+    queryPlan.queries.join('\n'),
+    scoredMemories.map((item) => item.entry),
+    renderMemories
+  );
 
-  if (config.systemPrompt?.trim()) {
-    messages.push({ role: 'system', content: config.systemPrompt.trim() });
-  }
+  const budget = fitPromptToContext({
+    fixedMessages: [...systemMessages, userMessage],
+    memories: candidateMemories,
+    renderMemories,
+    history: getRecentConversation().map((item) => ({
+      role: item.role,
+      content: item.content,
+      turnNumber: item.turnNumber,
+      timestamp: item.timestamp
+    })),
+    contextLimit: getActiveContextLimit(),
+    reserveTokens: getResponseReserve({})
+  });
+  reportContextBudget('modelA', budget.report);
+  const retrievedMemories = budget.memories;
+
+  // Everything older than the first turn that still fits has been evicted from the prompt.
+  const firstKept = budget.history[0] ?? userEntry;
+  const keptFrom = normalizeTimestamp(firstKept.timestamp);
+  const evictedTurns = conversationLog
+    .filter((entry) => entry.role !== 'system' && normalizeTimestamp(entry.timestamp) < keptFrom)
+    .map((entry) => ({ timestamp: normalizeTimestamp(entry.timestamp), text: `${entry.role}: ${entry.content}` }));
 
+  messages.push(...systemMessages);
   if (retrievedMemories.length) {
-    const compiled = retrievedMemories
-      .map((item) => `${formatTimestamp(item.timestamp)} • ${item.role}: ${item.content}`)
-      .join('\n');
-    messages.push({
-      role: 'system',
-      content: `Relevant long-term memories:\n${compiled}`
+    assignMemoryCitations(retrievedMemories);
+    messages.push({ role: 'system', content: renderMemories(retrievedMemories) });
+  }
+  for (const item of budget.history) {
+    messages.push({ role: item.role, content: item.content });
+  }
+  messages.push(userMessage);
+  const retrievalTrace = buildRetrievalTrace({
+    query: userEntry.content,
+    queryPlan,
+    scoredMemories,
+    candidateMemories,
+    injectedMemories: retrievedMemories,
+    renderMemories,
+    messages
+  });
+  return { messages, retrievedMemories, evictedTurns, retrievalTrace };
+}
+
+// Records every scored candidate, not just the injected ones, so recall problems caused by the token
+// budget or the context window are visible next to the memories that made it in.
+function buildRetrievalTrace({ query, queryPlan, scoredMemories, candidateMemories, injectedMemories, renderMemories, messages }) {
+  const idOf = (entry) => normalizeMessageId(entry.id ?? entry.timestamp);
+  const budgeted = new Map(candidateMemories.map((entry) => [idOf(entry), entry]));
+  const injected = new Set(injectedMemories.map(idOf));
+  const queryTerms = new Set(analyzeText(queryPlan.queries.join('\n')));
+  const headerTokens = estimateTokenCount(renderMemories([]));
+  return {
+    query,
+    queries: queryPlan.queries,
+    rewritten: queryPlan.rewritten,
+    createdAt: Date.now(),
+    model: config.model,
+    memories: scoredMemories.map((item) => {
+      const id = idOf(item.entry);
+      const shown = budgeted.get(id) ?? item.entry;
+      let status = 'over token budget';
+      if (injected.has(id)) {
+        status = 'injected';
+      } else if (budgeted.has(id)) {
+        status = 'dropped for context window';
+      }
+      return {
+        id,
+        citation: memoryCitations.labels.has(id) ? `m${memoryCitations.labels.get(id)}` : '',
+        status,
+        role: item.entry.role,
+        origin: item.entry.origin ?? 'floating',
+        source: describeMemorySource(item.entry),
+        timestamp: normalizeTimestamp(item.entry.timestamp),
+        relevance: item.relevance,
+        score: item.score,
+        method: item.method,
+        matchedTerms: findMatchedTerms(queryTerms, id, item.entry.content),
+        tokens: estimateTokenCount(renderMemories([shown])) - headerTokens,
+        excerpted: Boolean(shown.excerpted),
+        preview: formatMemoryPreview(shown.content, 320)
+      };
+    }),
+    messages: messages.map((message) => ({ ...message }))
+  };
+}
+
+function findMatchedTerms(queryTerms, id, content) {
+  const terms = lexicalIndex.documents.get(id)?.terms;
+  const documentTerms = terms ? new Set(Object.keys(terms)) : new Set(analyzeText(content));
+  return [...queryTerms].filter((term) => documentTerms.has(term));
+}
+
+function recordRetrievalTrace(entry, trace) {
+  if (!entry || !trace) return;
+  const id = normalizeMessageId(entry.id ?? entry.timestamp);
+  retrievalTraces.set(id, trace);
+  while (retrievalTraces.size > RETRIEVAL_TRACE_LIMIT) {
+    const oldest = retrievalTraces.keys().next().value;
+    retrievalTraces.delete(oldest);
+    elements.chatWindow
+      ?.querySelector(`.message[data-message-id="${CSS.escape(oldest)}"] .message-inspect`)
+      ?.remove();
+  }
+  const node = elements.chatWindow?.querySelector(`.message[data-message-id="${CSS.escape(id)}"]`);
+  const meta = node?.querySelector('.message-meta');
+  if (meta && !meta.querySelector('.message-inspect')) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ghost message-inspect';
+    button.textContent = 'Inspect retrieval';
+    meta.appendChild(button);
+  }
+}
+
+function openRetrievalInspector(messageId) {
+  const trace = retrievalTraces.get(normalizeMessageId(messageId));
+  if (!trace || !elements.retrievalInspector) return;
+  const injectedCount = trace.memories.filter((memory) => memory.status === 'injected').length;
+  elements.retrievalInspectorSubtitle.textContent =
+    `${new Date(trace.createdAt).toLocaleString()} • ${trace.providerLabel || trace.model} • ` +
+    `${injectedCount} of ${trace.memories.length} scored memor${trace.memories.length === 1 ? 'y' : 'ies'} injected • ` +
+    `query: “${formatMemoryPreview(trace.query, 120)}”` +
+    (trace.rewritten ? ` • searched: ${trace.queries.map((item) => `“${formatMemoryPreview(item, 120)}”`).join(', ')}` : '');
+
+  elements.retrievalInspectorMemories.innerHTML = '';
+  if (!trace.memories.length) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No memory cleared the relevance floor for this reply.';
+    elements.retrievalInspectorMemories.appendChild(empty);
+  }
+  trace.memories.forEach((memory, index) => {
+    const node = document.createElement('li');
+    if (memory.status !== 'injected') {
+      node.classList.add('retrieval-trace--skipped');
+    }
+    const heading = document.createElement('strong');
+    const citation = memory.citation ? ` [${memory.citation}]` : '';
+    heading.textContent = `#${index + 1}${citation} ${memory.role} • ${memory.source || memory.origin}`;
+    const status = document.createElement('span');
+    status.className = 'debug-process-status';
+    status.textContent = memory.status;
+    heading.appendChild(status);
+    const detail = document.createElement('p');
+    detail.className = 'debug-process-detail';
+    detail.textContent = [
+      `${memory.method} relevance ${memory.relevance.toFixed(3)}`,
+      `ranked ${memory.score.toFixed(3)}`,
+      `~${memory.tokens.toLocaleString()} tokens${memory.excerpted ? ' (excerpt)' : ''}`,
+      memory.timestamp ? new Date(memory.timestamp).toLocaleString() : 'no timestamp',
+      memory.matchedTerms.length ? `matched: ${memory.matchedTerms.join(', ')}` : 'no shared terms'
+    ].join(' • ');
+    const preview = document.createElement('p');
+    preview.className = 'debug-process-detail retrieval-trace__preview';
+    preview.textContent = memory.preview;
+    node.append(heading, detail, preview);
+    elements.retrievalInspectorMemories.appendChild(node);
+  });
+
+  elements.retrievalInspectorMessages.textContent = JSON.stringify(trace.messages, null, 2);
+  elements.retrievalInspector.hidden = false;
+  elements.retrievalInspectorClose?.focus();
+}
+
+function closeRetrievalInspector() {
+  if (!elements.retrievalInspector) return;
+  elements.retrievalInspector.hidden = true;
+}
+
+// Walks memories best-first and keeps each one that still fits the memories-block budget; a long memory
+// that would not fit whole is replaced by its best-matching passage.
+function fitMemoriesToTokenBudget(query, memories, renderMemories) {
+  const budget = config.retrievalTokenBudget;
+  const queryTerms = new Set(analyzeText(query));
+  const headerTokens = estimateTokenCount(renderMemories([]));
+  let usedTokens = headerTokens;
+  const kept = [];
+  for (const memory of memories) {
+    const candidate = excerptMemory(memory, queryTerms);
+    const cost = estimateTokenCount(renderMemories([candidate])) - headerTokens;
+    if (budget > 0 && usedTokens + cost > budget) continue;
+    kept.push(candidate);
+    usedTokens += cost;
+  }
+  return kept;
+}
+
+function excerptMemory(memory, queryTerms) {
+  const content = memory.content ?? '';
+  if (content.length <= MEMORY_EXCERPT_CHARS) return memory;
+
+  const hits = [];
+  for (const match of content.matchAll(/[a-z0-9]+/gi)) {
+    if (queryTerms.has(stemTerm(match[0].toLowerCase()))) {
+      hits.push(match.index);
+    }
+  }
+  // Two-pointer sweep for the window that holds the most query-term hits.
+  let bestStart = 0;
+  let bestCount = 0;
+  let tail = 0;
+  for (let head = 0; head < hits.length; head += 1) {
+    while (hits[head] - hits[tail] > MEMORY_EXCERPT_CHARS * 0.8) {
+      tail += 1;
+    }
+    if (head - tail + 1 > bestCount) {
+      bestCount = head - tail + 1;
+      bestStart = hits[tail];
+    }
+  }
+
+  let start = Math.max(0, bestStart - Math.floor(MEMORY_EXCERPT_CHARS * 0.1));
+  if (start > 0) {
+    // Back up to the sentence or line the first hit sits in, if one starts close by.
+    const lead = content.slice(Math.max(0, start - 160), start);
+    const boundary = Math.max(lead.lastIndexOf('\n'), lead.lastIndexOf('. '), lead.lastIndexOf('? '), lead.lastIndexOf('! '));
+    if (boundary >= 0) start -= lead.length - boundary - 1;
+  }
+  start = Math.min(start, content.length - MEMORY_EXCERPT_CHARS);
+  const end = start + MEMORY_EXCERPT_CHARS;
+  const excerpt = content.slice(start, end).trim();
+  return {
+    ...memory,
+    content: `${start > 0 ? '… ' : ''}${excerpt}${end < content.length ? ' …' : ''}`,
+    excerpted: true
+  };
+}
+
+function formatMemoryLines(items) {
+  return items
+    .map((item) => {
+      const source = describeMemorySource(item);
+      const label = source ? `${source} • ${item.role}` : `${formatTimestamp(item.timestamp)} • ${item.role}`;
+      return `[${getMemoryCitation(item)}] ${label}: ${item.content}`;
+    })
+    .join('\n');
+}
+
+// Plain text stays text nodes; only [mN] markers that resolve to a known memory become chips.
+function renderCitedContent(container, text) {
+  container.textContent = '';
+  let cursor = 0;
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    const memoryId = memoryCitations.ids.get(match[1]);
+    if (!memoryId) continue;
+    container.append(text.slice(cursor, match.index));
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'memory-chip';
+    chip.dataset.memoryId = memoryId;
+    chip.textContent = match[1];
+    chip.title = 'Show the cited memory';
+    container.append(chip);
+    cursor = match.index + match[0].length;
+  }
+  container.append(text.slice(cursor));
+}
+
+// Chat messages still in the transcript are scrolled to; anything else (RAG files, arena turns, archived
+// messages) is brought back onto the floating workbench and highlighted there.
+async function showCitedMemory(memoryId) {
+  const transcriptNode = elements.chatWindow?.querySelector(`.message[data-message-id="${CSS.escape(memoryId)}"]`);
+  if (transcriptNode) {
+    flashElement(transcriptNode, 'message--cited');
+    return;
+  }
+  if (!floatingMemory.some((item) => normalizeMessageId(item.id ?? item.timestamp) === memoryId)) {
+    const source = (await resolveMemoryEntries([memoryId])).get(memoryId);
+    if (!source) {
+      addSystemMessage(`Memory ${memoryId} is no longer available.`);
+      return;
+    }
+    floatingMemory.push({ ...source, origin: source.origin ?? 'promoted' });
+    trimFloatingMemory();
+  }
+  renderFloatingMemoryWorkbench();
+  openOptionsPanel();
+  const item = elements.floatingMemoryList?.querySelector(`[data-memory-id="${CSS.escape(memoryId)}"]`);
+  if (item) {
+    flashElement(item, 'memory-item--cited');
+  }
+}
+
+function flashElement(node, className) {
+  node.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  node.classList.add(className);
+  window.setTimeout(() => node.classList.remove(className), 2400);
+}
+
+function estimateMessageTokens(message) {
+  return estimateTokenCount(message?.content ?? '') + MESSAGE_TOKEN_OVERHEAD;
+}
+
+function getConnectionContextLimit(connection = {}) {
+  const model = connection.model ?? config.model;
+  const endpoint = connection.endpoint ?? config.endpoint;
+  const presetId = connection.providerPreset ?? config.providerPreset;
+  return getDiscoveredContextLimit(model, endpoint) ?? getProviderContextLimit(presetId);
+}
+
+function getResponseReserve(connection = {}) {
+  const maxTokens = connection.maxTokens ?? config.maxResponseTokens;
+  const adapter = getProviderAdapter(connection.providerPreset ?? config.providerPreset);
+  const thinking = adapter.id === 'anthropic'
+    ? normalizeThinkingBudget(connection.thinkingBudget ?? config.thinkingBudget)
+    : 0;
+  return (Number.isFinite(maxTokens) && maxTokens > 0 ? Math.round(maxTokens) : 0) + thinking;
+}
+
+// Drops the oldest history turns and the lowest-scoring memories (retrieval returns them best-first)
+// until the prompt plus the response reserve fits the context window. Fixed messages are never dropped.
+function fitPromptToContext({ fixedMessages = [], memories = [], renderMemories, history = [], contextLimit, reserveTokens = 0 }) {
+  const budgetTokens = Math.floor(contextLimit * CONTEXT_SAFETY_MARGIN) - reserveTokens;
+  const keptMemories = [...memories];
+  const keptHistory = [...history];
+  const droppedMemories = [];
+  const droppedTurns = [];
+
+  const fixedTokens = fixedMessages.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+  // Price each memory line once so trimming large retrievals stays linear.
+  const headerTokens = estimateMessageTokens({ content: renderMemories([]) });
+  const memoryCosts = keptMemories.map((item) => estimateTokenCount(renderMemories([item])) - headerTokens + MESSAGE_TOKEN_OVERHEAD);
+  let memoryLineTokens = memoryCosts.reduce((sum, cost) => sum + cost, 0);
+  const memoryTokens = () => (keptMemories.length ? headerTokens + memoryLineTokens : 0);
+  let historyTokens = keptHistory.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+  let currentMemoryTokens = memoryTokens();
+
+  while (fixedTokens + historyTokens + currentMemoryTokens > budgetTokens) {
+    const preferHistory = keptHistory.length && (!keptMemories.length || historyTokens >= currentMemoryTokens);
+    if (preferHistory) {
+      const turn = keptHistory.shift();
+      historyTokens -= estimateMessageTokens(turn);
+      droppedTurns.push(turn);
+    } else if (keptMemories.length) {
+      droppedMemories.push(keptMemories.pop());
+      memoryLineTokens -= memoryCosts.pop();
+      currentMemoryTokens = memoryTokens();
+    } else {
+      break;
+    }
+  }
+
+  const promptTokens = fixedTokens + historyTokens + currentMemoryTokens;
+  return {
+    memories: keptMemories,
+    history: keptHistory,
+    droppedTurns,
+    droppedMemories,
+    report: {
+      contextLimit,
+      reserveTokens,
+      budgetTokens,
+      promptTokens,
+      keptTurns: keptHistory.length,
+      keptMemories: keptMemories.length,
+      droppedTurns: droppedTurns.length,
+      droppedMemories: droppedMemories.length,
+      droppedTurnLabels: droppedTurns.map((turn) => (turn.turnNumber ? `turn ${turn.turnNumber}` : turn.role)),
+      overBudget: promptTokens > budgetTokens,
+      timestamp: Date.now()
+    }
+  };
+}
+
+function reportContextBudget(processKey, report) {
+  contextBudgetReports.set(processKey, report);
+  updateContextBudgetList();
+  if (report.droppedTurns || report.droppedMemories || report.overBudget) {
+    const summary = describeContextBudget(report);
+    void recordLog('context', `${processKey}: ${summary}`, {
+      level: report.overBudget ? 'warn' : 'info',
+      silent: true
+    });
+  }
+}
+
+function describeContextBudget(report) {
+  const parts = [
+    `~${report.promptTokens.toLocaleString()} prompt tokens of ${report.budgetTokens.toLocaleString()} available`,
+    `${report.reserveTokens.toLocaleString()} reserved for the reply`
+  ];
+  if (report.droppedTurns) {
+    const labels = report.droppedTurnLabels.slice(0, 6).join(', ');
+    const more = report.droppedTurnLabels.length > 6 ? '…' : '';
+    parts.push(`dropped ${report.droppedTurns} oldest turn(s) (${labels}${more})`);
+  }
+  if (report.droppedMemories) {
+    parts.push(`dropped ${report.droppedMemories} lowest-scoring memor${report.droppedMemories === 1 ? 'y' : 'ies'}`);
+  }
+  if (report.overBudget) {
+    parts.push('system prompt and latest message alone exceed the window');
+  }
+  return parts.join(' • ');
+}
+
+function updateContextBudgetList() {
+  if (!elements.contextBudgetList) return;
+  elements.contextBudgetList.innerHTML = '';
+  if (!contextBudgetReports.size) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No prompts packed yet.';
+    elements.contextBudgetList.appendChild(empty);
+    return;
+  }
+  for (const [processKey, report] of contextBudgetReports) {
+    const node = document.createElement('li');
+    const heading = document.createElement('strong');
+    heading.textContent = processRegistry.get(processKey)?.label ?? processKey;
+    const status = document.createElement('span');
+    status.className = 'debug-process-status';
+    status.textContent = report.overBudget ? 'Over budget' : report.droppedTurns || report.droppedMemories ? 'Trimmed' : 'Fits';
+    heading.appendChild(status);
+    const detail = document.createElement('p');
+    detail.className = 'debug-process-detail';
+    detail.textContent = `${describeContextBudget(report)} • kept ${report.keptTurns} turn(s), ${report.keptMemories} memor${report.keptMemories === 1 ? 'y' : 'ies'} • window ${report.contextLimit.toLocaleString()} tokens`;
+    node.append(heading, detail);
+    elements.contextBudgetList.appendChild(node);
+  }
+}
+
+function getConversationSummaryState(mode) {
+  const sessionId = ensureRagSessionId(mode);
+  let state = conversationSummaries.get(mode);
+  if (!state || state.sessionId !== sessionId) {
+    state = { sessionId, text: '', coveredUntil: 0, turnCount: 0, inFlight: false };
+    conversationSummaries.set(mode, state);
+  }
+  return state;
+}
+
+function buildSummaryMessage(mode) {
+  const state = getConversationSummaryState(mode);
+  if (!state.text) return null;
+  return {
+    role: 'system',
+    content: `Conversation so far (summary of ${state.turnCount} earlier turn${state.turnCount === 1 ? '' : 's'}):\n${state.text}`
+  };
+}
+
+async function loadConversationSummary(mode) {
+  const state = getConversationSummaryState(mode);
+  try {
+    const record = await getRagRecord(`${state.sessionId}-summary`);
+    if (record?.summary) {
+      state.text = record.summary;
+      state.coveredUntil = normalizeTimestamp(record.coveredUntil ?? 0);
+      state.turnCount = record.turnCount ?? 0;
+    }
+  } catch (error) {
+    console.error('Failed to load conversation summary', error);
+  }
+}
+
+// Folds turns that no longer fit in the prompt into the mode's running summary using the configured model.
+async function compactEvictedTurns(mode, evictedTurns, connection = {}) {
+  if (config.autoSummarize === false || !Array.isArray(evictedTurns) || !evictedTurns.length) return;
+  const state = getConversationSummaryState(mode);
+  if (state.inFlight) return;
+  const pending = evictedTurns
+    .filter((turn) => turn.timestamp > state.coveredUntil && turn.text?.trim())
+    .sort((a, b) => a.timestamp - b.timestamp);
+  if (!pending.length) return;
+
+  const batch = [];
+  let batchTokens = 0;
+  for (const turn of pending) {
+    const cost = estimateTokenCount(turn.text);
+    if (batch.length && batchTokens + cost > SUMMARY_BATCH_TOKENS) break;
+    batch.push(turn);
+    batchTokens += cost;
+  }
+
+  state.inFlight = true;
+  updateProcessState('summarizer', {
+    status: 'Summarizing',
+    detail: `Folding ${batch.length} evicted ${mode} turn(s) into the running summary.`
+  });
+  try {
+    const { content, reasoning } = await callModel(
+      [
+        {
+          role: 'system',
+          content:
+            'You maintain a running summary of a long conversation. Merge the new turns into the existing summary. Keep names, facts, decisions, commitments, and open questions; drop small talk. Reply with the updated summary only, in under 250 words.'
+        },
+        {
+          role: 'user',
+          content: `Existing summary:\n${state.text || '(none yet)'}\n\nNew turns:\n${batch.map((turn) => turn.text).join('\n')}`
+        }
+      ],
+      { ...connection, maxTokens: SUMMARY_MAX_TOKENS, onToken: undefined, signal: undefined }
+    );
+    const summary = stripReasoningPrefix(content, reasoning);
+    if (!summary || state.sessionId !== ensureRagSessionId(mode)) {
+      updateProcessState('summarizer', {
+        status: 'Idle',
+        detail: summary ? `${mode} session changed; summary discarded.` : 'Model returned an empty summary.'
+      });
+      return;
+    }
+    state.text = summary;
+    state.coveredUntil = batch[batch.length - 1].timestamp;
+    state.turnCount += batch.length;
+    await persistConversationSummary(mode, state);
+    updateProcessState('summarizer', {
+      status: 'Idle',
+      detail: `${mode} summary covers ${state.turnCount} evicted turn(s).`
+    });
+    void recordLog('memory', `Summarized ${batch.length} evicted ${mode} turn(s) into the running summary.`, {
+      silent: true
     });
+  } catch (error) {
+    updateProcessState('summarizer', { status: 'Error', detail: error.message || 'Summary request failed.' });
+    void recordLog('error', `Conversation summary failed: ${error.message || 'Unknown error'}`, { level: 'warn', silent: true });
+  } finally {
+    state.inFlight = false;
   }
+}
 
-  const recent = getRecentConversation();
-  for (const item of recent) {
-    messages.push({ role: item.role, content: item.content });
-  }
+function stripReasoningPrefix(content, reasoning) {
+  if (!reasoning) return content.trim();
+  const prefix = `Reasoning:\n${reasoning}`;
+  return (content.startsWith(prefix) ? content.slice(prefix.length) : content).trim();
+}
 
-  messages.push({ role: 'user', content: userEntry.content });
-  return { messages, retrievedMemories };
+async function persistConversationSummary(mode, state) {
+  const updatedAt = Date.now();
+  const id = `${state.sessionId}-summary`;
+  const record = {
+    id,
+    mode,
+    type: 'summary',
+    sessionId: state.sessionId,
+    updatedAt,
+    summary: state.text,
+    coveredUntil: state.coveredUntil,
+    turnCount: state.turnCount,
+    // Also stored as a message so hydration and retrieval surface the summary like any other memory.
+    messages: [
+      {
+        id,
+        role: 'summary',
+        content: `Conversation so far: ${state.text}`,
+        timestamp: updatedAt,
+        origin: 'summary'
+      }
+    ]
+  };
+  try {
+    await putRagRecord(record);
+    markRagSave(mode);
+  } catch (error) {
+    console.error('Failed to persist conversation summary', error);
+  }
 }
 
 function getRecentConversation() {
@@ -3778,15 +6419,13 @@ async function appendMessage(role, content, options = {}) {
     speak = role === 'assistant',
     metadata = {},
     persist = true,
-    toFloating = true
+    toFloating = true,
+    replaceNode
   } = options;
-  let timestamp = Date.now();
-  while (conversationLog.some((item) => item.timestamp === timestamp)) {
-    timestamp += 1;
-  }
+  const timestamp = Date.now();
 
   const entry = {
-    id: metadata.id ?? timestamp,
+    id: metadata.id ?? createMessageId(MODE_CHAT),
     role,
     content,
     timestamp,
@@ -3809,7 +6448,7 @@ async function appendMessage(role, content, options = {}) {
   } else {
     updateMemoryStatus();
   }
-  renderMessage(entry, { badge });
+  renderMessage(entry, { badge, replaceNode });
 
   if (persist) {
     await persistMessage(entry);
@@ -3831,7 +6470,7 @@ async function appendMessage(role, content, options = {}) {
   return entry;
 }
 
-function renderMessage(entry, { badge } = {}) {
+function renderMessage(entry, { badge, replaceNode } = {}) {
   const node = elements.messageTemplate.content.firstElementChild.cloneNode(true);
   const messageId = entry.id ?? entry.timestamp;
   node.dataset.messageId = String(messageId);
@@ -3849,9 +6488,65 @@ function renderMessage(entry, { badge } = {}) {
   } else {
     badgeNode.remove();
   }
-  node.querySelector('.message-content').textContent = entry.content;
+  const contentNode = node.querySelector('.message-content');
+  if (entry.role === 'assistant') {
+    renderCitedContent(contentNode, entry.content);
+  } else {
+    contentNode.textContent = entry.content;
+  }
+  if (replaceNode?.isConnected) {
+    replaceNode.replaceWith(node);
+  } else {
+    elements.chatWindow.appendChild(node);
+  }
+  scrollContainerToBottom(elements.chatWindow);
+}
+
+function createStreamingChatMessage() {
+  const node = elements.messageTemplate.content.firstElementChild.cloneNode(true);
+  node.classList.add('message--streaming');
+  node.querySelector('.message-role').textContent = 'ASSISTANT';
+  node.querySelector('.message-turn').remove();
+  node.querySelector('.message-time').textContent = formatTimestamp(Date.now());
+  node.querySelector('.message-badge').textContent = 'streaming';
+  const contentNode = node.querySelector('.message-content');
   elements.chatWindow.appendChild(node);
   scrollContainerToBottom(elements.chatWindow);
+  return createStreamRenderer(node, contentNode, elements.chatWindow);
+}
+
+function createStreamingDualMessage(speaker) {
+  const node = elements.dualMessageTemplate.content.firstElementChild.cloneNode(true);
+  node.classList.add('dual-message--streaming');
+  node.querySelector('.dual-speaker').textContent = getAgentDisplayName(speaker);
+  node.querySelector('.dual-time').textContent = formatTimestamp(Date.now());
+  const badgeNode = node.querySelector('.dual-badge');
+  badgeNode.textContent = 'streaming';
+  badgeNode.hidden = false;
+  const contentNode = node.querySelector('.dual-content');
+  elements.dualChatWindow.appendChild(node);
+  scrollContainerToBottom(elements.dualChatWindow);
+  return createStreamRenderer(node, contentNode, elements.dualChatWindow);
+}
+
+function createStreamRenderer(node, contentNode, container) {
+  return {
+    node,
+    update({ text, reasoning }) {
+      const segments = [];
+      if (reasoning) {
+        segments.push(`Reasoning:\n${reasoning.trim()}`);
+      }
+      if (text) {
+        segments.push(text.trimStart());
+      }
+      contentNode.textContent = segments.join('\n\n');
+      container.scrollTop = container.scrollHeight;
+    },
+    discard() {
+      node.remove();
+    }
+  };
 }
 
 function scrollContainerToBottom(container) {
@@ -3979,27 +6674,41 @@ function markMessageAsArchived(id) {
   }
 }
 
-async function persistMessage(entry) {
-  if (!db) return;
-  const timestamp = normalizeTimestamp(entry.timestamp);
-  entry.timestamp = timestamp;
-  const payload = {
-    id: entry.id ?? timestamp,
+function createMessageId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// IndexedDB cannot index booleans, so `pinned` is stored as 1/0; readers already treat it as truthy.
+function toStoredMessage(entry) {
+  const mode = entry.mode ?? MODE_CHAT;
+  return {
+    id: entry.id,
     role: entry.role,
     content: entry.content,
-    timestamp,
+    timestamp: entry.timestamp,
     turnNumber: entry.turnNumber ?? null,
-    pinned: Boolean(entry.pinned),
+    pinned: entry.pinned ? 1 : 0,
     origin: entry.origin ?? 'floating',
-    mode: entry.mode ?? MODE_CHAT
+    mode,
+    session: entry.session ?? ensureRagSessionId(mode)
   };
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction(['messages'], 'readwrite');
-    const store = transaction.objectStore('messages');
+}
+
+async function persistMessage(entry) {
+  if (!db) return;
+  const timestamp = normalizeTimestamp(entry.timestamp);
+  entry.timestamp = timestamp;
+  entry.id = entry.id ?? createMessageId(entry.mode ?? MODE_CHAT);
+  const payload = toStoredMessage(entry);
+  indexLexicalEntry(entry);
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction([MESSAGE_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(MESSAGE_STORE_NAME);
     const request = store.put(payload);
     request.onsuccess = () => resolve();
     request.onerror = (event) => reject(event);
   });
+  queueEmbedding(payload);
 }
 
 async function putRagRecord(record) {
@@ -4016,6 +6725,17 @@ async function putRagRecord(record) {
   });
 }
 
+function getRagRecord(id) {
+  if (!db) return Promise.resolve(null);
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([RAG_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(RAG_STORE_NAME);
+    const request = store.get(id);
+    request.onerror = (event) => reject(event);
+    request.onsuccess = () => resolve(request.result ?? null);
+  });
+}
+
 async function persistChatRagSnapshot() {
   if (!db) return;
   const sessionId = ensureRagSessionId(MODE_CHAT);
@@ -4274,9 +6994,15 @@ function updateChunkerStatus() {
   if (elements.totalChunkCount) {
     elements.totalChunkCount.textContent = String(chunkerState.totalChunks);
   }
+  if (elements.chunkerStorageMode) {
+    elements.chunkerStorageMode.textContent = workspaceApi.available ? 'Workspace' : 'RAM disk';
+    elements.chunkerStorageMode.title = workspaceApi.available
+      ? 'Chunks, moved sources and exported logs are written to rag/ and logs/ on disk.'
+      : `Saves stay in localStorage (about 5 MB). ${workspaceApi.error || 'Run npm run dev to enable disk writes.'}`;
+  }
   if (elements.chunkerStatus) {
     if (chunkerState.isProcessing) {
-      elements.chunkerStatus.textContent = '🔄 Processing files…';
+      elements.chunkerStatus.textContent = chunkerState.activity || '🔄 Processing files…';
       elements.chunkerStatus.style.color = '#ff6b35'; // Orange/red for processing
     } else if (chunkerState.unchunkedFiles.length > 0) {
       const pending = chunkerState.unchunkedFiles.length;
@@ -4298,6 +7024,9 @@ function updateChunkerStatus() {
       }
       elements.chunkerStatus.style.color = '#06ffa5'; // Green for idle
     }
+    if (!chunkerState.isProcessing && chunkerState.notice) {
+      elements.chunkerStatus.textContent += ` ${chunkerState.notice}`;
+    }
   }
 }
 
@@ -4328,6 +7057,9 @@ function createMemoryItem(entry) {
   const preview = document.createElement('p');
   preview.className = 'memory-item__content';
   preview.textContent = formatMemoryPreview(entry.content);
+  const source = document.createElement('p');
+  source.className = 'memory-item__source';
+  source.textContent = describeMemorySource(entry);
 
   const actions = document.createElement('div');
   actions.className = 'memory-item__actions';
@@ -4342,7 +7074,11 @@ function createMemoryItem(entry) {
   archiveButton.textContent = 'Archive';
   actions.append(pinButton, archiveButton);
 
-  node.append(meta, preview, actions);
+  node.append(meta);
+  if (source.textContent) {
+    node.append(source);
+  }
+  node.append(preview, actions);
   return node;
 }
 
@@ -4448,6 +7184,72 @@ function moveEntryToArchive(entry, { silent = false } = {}) {
   return true;
 }
 
+function loadMemoryCitations() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(CITATION_STORAGE_KEY) || 'null');
+    if (!stored || typeof stored.labels !== 'object') return;
+    for (const [id, number] of Object.entries(stored.labels)) {
+      memoryCitations.labels.set(id, number);
+      memoryCitations.ids.set(`m${number}`, id);
+      memoryCitations.next = Math.max(memoryCitations.next, number + 1);
+    }
+    if (Number.isInteger(stored.next)) {
+      memoryCitations.next = Math.max(memoryCitations.next, stored.next);
+    }
+    pruneMemoryCitations();
+  } catch (error) {
+    console.error('Failed to load memory citations:', error);
+  }
+}
+
+function persistMemoryCitations() {
+  clearTimeout(citationPersistTimer);
+  citationPersistTimer = setTimeout(() => {
+    try {
+      window.localStorage.setItem(
+        CITATION_STORAGE_KEY,
+        JSON.stringify({ labels: Object.fromEntries(memoryCitations.labels), next: memoryCitations.next })
+      );
+    } catch (error) {
+      console.error('Failed to persist memory citations:', error);
+    }
+  }, 300);
+}
+
+// Read-only so prompt pricing can render candidates freely: memories without a label yet get a placeholder
+// the same length as the next one assignMemoryCitations would hand out.
+function getMemoryCitation(entry) {
+  const id = normalizeMessageId(entry.id ?? entry.timestamp);
+  return `m${memoryCitations.labels.get(id) ?? memoryCitations.next}`;
+}
+
+// Called once per prompt with the memories actually injected; re-injecting a memory refreshes its place in
+// the bounded map.
+function assignMemoryCitations(entries) {
+  for (const entry of entries) {
+    const id = normalizeMessageId(entry.id ?? entry.timestamp);
+    let number = memoryCitations.labels.get(id);
+    if (number) {
+      memoryCitations.labels.delete(id);
+    } else {
+      number = memoryCitations.next;
+      memoryCitations.next += 1;
+      memoryCitations.ids.set(`m${number}`, id);
+    }
+    memoryCitations.labels.set(id, number);
+  }
+  pruneMemoryCitations();
+  persistMemoryCitations();
+}
+
+function pruneMemoryCitations() {
+  while (memoryCitations.labels.size > MEMORY_CITATION_LIMIT) {
+    const [id, number] = memoryCitations.labels.entries().next().value;
+    memoryCitations.labels.delete(id);
+    memoryCitations.ids.delete(`m${number}`);
+  }
+}
+
 function persistPinnedMessages() {
   try {
     window.localStorage.setItem(PINNED_STORAGE_KEY, JSON.stringify(Array.from(pinnedMessageIds)));
@@ -4538,7 +7340,7 @@ async function runDiagnostics() {
   const agentBConnection = getAgentConnection('B');
 
   const diagnostics = [
-    `• Provider preset: ${preset?.label ?? 'Custom'}`,
+    `• Provider preset: ${preset?.label ?? 'Custom'} (${getProviderAdapter(config.providerPreset).label} adapter)`,
     `• Endpoint: ${config.endpoint || 'Not set'}`,
     `• Model: ${config.model || 'Not set'}`,
     `• API key: ${preset?.requiresKey ? (config.apiKey ? 'present' : 'missing') : config.apiKey ? 'set (optional)' : 'not required'}`,
@@ -4594,20 +7396,18 @@ async function runDiagnostics() {
 
 async function probeModelEndpoint(overrides = {}) {
   const endpoint = overrides.endpoint ?? config.endpoint;
-  const apiKey = overrides.apiKey ?? config.apiKey;
+  const apiKey = (overrides.apiKey ?? config.apiKey ?? '').trim();
   if (!endpoint) {
     return { status: 'skipped', message: 'No endpoint configured.' };
   }
-  const headers = {};
-  if (apiKey) {
-    headers.Authorization = `Bearer ${apiKey.trim()}`;
-  }
+  const adapter = getProviderAdapter(overrides.providerPreset ?? config.providerPreset);
+  const probe = adapter.buildProbeRequest({ endpoint, apiKey });
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), 4000);
   try {
-    const response = await fetch(endpoint, {
-      method: 'OPTIONS',
-      headers,
+    const response = await fetch(probe.url, {
+      method: probe.method ?? 'GET',
+      headers: probe.headers,
       signal: controller.signal,
       mode: 'cors'
     });
@@ -4615,9 +7415,11 @@ async function probeModelEndpoint(overrides = {}) {
     if (response.ok) {
       const allow = response.headers.get('allow') || response.headers.get('Access-Control-Allow-Methods');
       const allowText = allow ? ` (allows: ${allow})` : '';
-      return { status: 'ok', message: `Reachable • HTTP ${response.status}${allowText}` };
+      return { status: 'ok', message: `Reachable via ${adapter.label} • HTTP ${response.status}${allowText}` };
     }
-    return { status: 'warning', message: `Endpoint responded with HTTP ${response.status}` };
+    const body = await response.text().catch(() => '');
+    const status = response.status === 401 || response.status === 403 ? 'error' : 'warning';
+    return { status, message: adapter.normalizeError(response.status, body) };
   } catch (error) {
     clearTimeout(timeoutId);
     if (error.name === 'AbortError') {
@@ -4627,6 +7429,22 @@ async function probeModelEndpoint(overrides = {}) {
   }
 }
 
+async function listProviderModels(overrides = {}) {
+  const endpoint = overrides.endpoint ?? config.endpoint;
+  const apiKey = (overrides.apiKey ?? config.apiKey ?? '').trim();
+  const adapter = getProviderAdapter(overrides.providerPreset ?? config.providerPreset);
+  const request = endpoint ? adapter.buildModelsRequest({ endpoint, apiKey }) : null;
+  if (!request) {
+    throw new Error(`${adapter.label} endpoint does not expose a model list.`);
+  }
+  const response = await fetch(request.url, { method: 'GET', headers: request.headers });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(adapter.normalizeError(response.status, text));
+  }
+  return adapter.parseModels(await response.json()).filter((item) => item.id);
+}
+
 function addSystemMessage(text) {
   void appendMessage('system', text, {
     badge: 'system',
@@ -4656,88 +7474,672 @@ async function promoteRelevantMemories() {
     if (pinnedMessageIds.has(normalizedId)) {
       target.pinned = true;
     }
-    floatingMemory.push(target);
+    floatingMemory.push(target);
+  }
+  trimFloatingMemory();
+  addSystemMessage(`Promoted ${memories.length} memory snippet(s) into the floating context.`);
+}
+
+// Follow-ups such as "what did you say about that earlier?" carry no searchable terms of their own, so the
+// configured model turns them into standalone queries using the recent turns. Any failure falls back to
+// the message as typed, and so does a Stop that aborts `signal` mid-rewrite.
+async function planRetrievalQueries(userEntry, signal) {
+  const original = userEntry.content;
+  const mode = config.queryRewriteMode;
+  if (mode === 'off' || !config.endpoint || !config.model) {
+    return { queries: [original], rewritten: false };
+  }
+  const recentTurns = conversationLog
+    .filter((item) => item !== userEntry && (item.role === 'user' || item.role === 'assistant'))
+    .slice(-QUERY_REWRITE_TURNS)
+    .map((item) => `${item.role}: ${formatMemoryPreview(item.content, 600)}`);
+  const instruction =
+    mode === 'multi'
+      ? `Write up to ${MAX_SUB_QUERIES} short, standalone search queries, one per line, that together find what the latest message needs from a memory archive. Resolve pronouns and references such as "that" or "earlier" using the conversation. Reply with the queries only.`
+      : 'Rewrite the latest message as one short, standalone search query for a memory archive. Resolve pronouns and references such as "that" or "earlier" using the conversation. Reply with the query only.';
+
+  updateProcessState('modelA', { status: 'Retrieving', detail: 'Rewriting the retrieval query from recent turns.' });
+  try {
+    const { content, reasoning, cancelled } = await callModel(
+      [
+        { role: 'system', content: instruction },
+        {
+          role: 'user',
+          content: `Conversation:\n${recentTurns.join('\n') || '(no earlier turns)'}\n\nLatest message:\n${original}`
+        }
+      ],
+      { maxTokens: QUERY_REWRITE_MAX_TOKENS, onToken: undefined, signal }
+    );
+    if (cancelled) {
+      return { queries: [original], rewritten: false };
+    }
+    const rewrites = [
+      ...new Set(
+        stripReasoningPrefix(content, reasoning)
+          .split('\n')
+          .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').replace(/^["“']|["”']$/g, '').trim())
+          .filter(Boolean)
+      )
+    ].slice(0, mode === 'multi' ? MAX_SUB_QUERIES : 1);
+    if (!rewrites.length) {
+      return { queries: [original], rewritten: false };
+    }
+    // Sub-queries widen the search, so the message as typed stays in the mix; a rewrite replaces it.
+    const queries = mode === 'multi' ? [...new Set([original, ...rewrites])] : rewrites;
+    return { queries, rewritten: true };
+  } catch (error) {
+    void recordLog('error', `Query rewrite failed, searching the raw message: ${error.message || 'Unknown error'}`, {
+      level: 'warn',
+      silent: true
+    });
+    return { queries: [original], rewritten: false };
+  }
+}
+
+// Runs each query through the normal scored retrieval and merges the lists with reciprocal rank fusion,
+// so a memory that several queries agree on beats one that tops a single list.
+async function retrieveFusedMemories(queries, limit) {
+  if (queries.length <= 1) {
+    return retrieveScoredMemories(queries[0] ?? '', limit);
+  }
+  const lists = [];
+  for (const query of queries) {
+    lists.push(await retrieveScoredMemories(query, limit));
+  }
+  const fused = new Map();
+  for (const list of lists) {
+    list.forEach((item, rank) => {
+      const id = normalizeMessageId(item.entry.id ?? item.entry.timestamp);
+      const existing = fused.get(id);
+      const contribution = 1 / (RRF_K + rank + 1);
+      if (existing) {
+        existing.score += contribution;
+        if (item.relevance > existing.relevance) {
+          existing.relevance = item.relevance;
+          existing.method = item.method;
+        }
+      } else {
+        fused.set(id, { entry: item.entry, relevance: item.relevance, method: item.method, score: contribution });
+      }
+    });
+  }
+  const ranked = [...fused.values()].sort((a, b) => b.score - a.score);
+  return limit > 0 ? ranked.slice(0, limit) : ranked;
+}
+
+async function retrieveRelevantMemories(query, limit) {
+  const scored = await retrieveScoredMemories(query, limit);
+  return scored.map((item) => item.entry);
+}
+
+// Returns best-first { entry, relevance, score, method } items; relevance is the raw 0..1 similarity
+// and score the blended ranking value.
+async function retrieveScoredMemories(query, limit) {
+  const queryTerms = analyzeText(query);
+  if (!queryTerms.length) return [];
+
+  syncFloatingMemoryIndex();
+  const lexicalScores = scoreLexicalMatches(queryTerms);
+  let scores = null;
+  if (isEmbeddingEnabled()) {
+    try {
+      scores = await scoreCandidatesSemantically(query, lexicalScores);
+    } catch (error) {
+      void recordLog('error', `Semantic retrieval failed, using keyword matching: ${error.message || 'Unknown error'}`, {
+        level: 'warn',
+        silent: true
+      });
+    }
+  }
+  if (!scores) {
+    scores = rankLexicalMatches(lexicalScores);
+  }
+
+  const relevant = scores
+    .filter((item) => item.score >= config.retrievalMinScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RETRIEVAL_RESOLVE_MAX);
+  const entries = await resolveMemoryEntries(relevant.map((item) => item.id));
+  const resolved = relevant
+    .filter((item) => entries.has(item.id))
+    .map((item) => ({ entry: entries.get(item.id), score: item.score, method: item.method }));
+  return rankRetrievedMemories(resolved, limit);
+}
+
+function classifyMemoryOrigin(entry) {
+  const origin = (entry?.origin ?? '').toString().toLowerCase();
+  if (entry?.mode === MODE_ARENA || origin.includes('arena')) return 'arena';
+  if (origin.startsWith('rag')) return 'file';
+  return 'chat';
+}
+
+// Relevance arrives in whatever scale the scorer used (BM25 or cosine), so it is normalized to 0..1 first.
+function blendRankingScore(entry, relevance, now) {
+  const originWeight = {
+    chat: config.rankChatWeight,
+    arena: config.rankArenaWeight,
+    file: config.rankFileWeight
+  }[classifyMemoryOrigin(entry)];
+  const speakerWeight = entry.role === 'user' ? config.rankUserWeight : config.rankAssistantWeight;
+  let score = relevance * originWeight * speakerWeight;
+
+  const timestamp = normalizeTimestamp(entry.timestamp);
+  if (config.rankRecencyWeight > 0 && timestamp) {
+    const ageDays = Math.max(0, now - timestamp) / DAY_MS;
+    score += config.rankRecencyWeight * 0.5 ** (ageDays / config.rankRecencyHalfLife);
+  }
+  const id = normalizeMessageId(entry.id ?? entry.timestamp);
+  if (entry.pinned || pinnedMessageIds.has(id)) {
+    score += config.rankPinnedBoost;
+  }
+  return score;
+}
+
+function rankRetrievedMemories(scores, limit) {
+  if (!scores.length) return [];
+  const topScore = scores.reduce((max, item) => Math.max(max, item.score), 0) || 1;
+  const now = Date.now();
+  const ranked = scores
+    .map((item) => ({
+      entry: item.entry,
+      relevance: item.score,
+      method: item.method,
+      score: blendRankingScore(item.entry, item.score / topScore, now)
+    }))
+    .filter((item) => item.score > 0)
+    .sort((a, b) => b.score - a.score);
+  if (config.rankDiversity <= 0) {
+    return limit > 0 ? ranked.slice(0, limit) : ranked;
+  }
+  const poolSize = Math.min(RANKING_POOL_MAX, Math.max(RANKING_POOL_MIN, limit * 3));
+  const pool = ranked.slice(0, poolSize);
+  const diversified = diversifyMemories(pool, limit > 0 ? Math.min(limit, pool.length) : pool.length);
+  return limit > 0 ? diversified : [...diversified, ...ranked.slice(pool.length)];
+}
+
+// Maximal marginal relevance: each pick trades its own score against its closest already-picked neighbour,
+// which pushes near-duplicate snapshot copies down the list.
+function diversifyMemories(pool, count) {
+  const lambda = 1 - config.rankDiversity;
+  const topScore = pool[0]?.score || 1;
+  const profiles = pool.map((item) => buildSimilarityProfile(item.entry));
+  const remaining = pool.map((item, index) => index);
+  const closest = new Array(pool.length).fill(0);
+  const selected = [];
+  while (selected.length < count && remaining.length) {
+    let bestPosition = 0;
+    let bestValue = -Infinity;
+    remaining.forEach((index, position) => {
+      const value = lambda * (pool[index].score / topScore) - (1 - lambda) * closest[index];
+      if (value > bestValue) {
+        bestValue = value;
+        bestPosition = position;
+      }
+    });
+    const [pick] = remaining.splice(bestPosition, 1);
+    selected.push(pool[pick]);
+    for (const index of remaining) {
+      closest[index] = Math.max(closest[index], profileSimilarity(profiles[index], profiles[pick]));
+    }
+  }
+  return selected;
+}
+
+function buildSimilarityProfile(entry) {
+  const id = normalizeMessageId(entry.id ?? entry.timestamp);
+  const vectorRecord = isEmbeddingEnabled() ? getStoredVector(id, entry.content) : null;
+  let terms = lexicalIndex.documents.get(id)?.terms;
+  if (!terms) {
+    terms = {};
+    for (const term of analyzeText(entry.content)) {
+      terms[term] = (terms[term] || 0) + 1;
+    }
+  }
+  let termNorm = 0;
+  for (const frequency of Object.values(terms)) {
+    termNorm += frequency * frequency;
+  }
+  return { vectorRecord, terms, termNorm: Math.sqrt(termNorm) };
+}
+
+function profileSimilarity(a, b) {
+  if (a.vectorRecord && b.vectorRecord) {
+    return vectorCosine(a.vectorRecord.vector, a.vectorRecord.norm, b.vectorRecord.vector, b.vectorRecord.norm);
+  }
+  if (!a.termNorm || !b.termNorm) return 0;
+  let dot = 0;
+  for (const [term, frequency] of Object.entries(a.terms)) {
+    if (b.terms[term]) {
+      dot += frequency * b.terms[term];
+    }
+  }
+  return dot / (a.termNorm * b.termNorm);
+}
+
+// Floating memory wins so pin state and live edits carry through; passages indexed this session come from
+// their retained references, and archived messages are read back from the messages store in one transaction.
+async function resolveMemoryEntries(ids) {
+  const liveById = new Map();
+  for (const entry of conversationLog) {
+    liveById.set(normalizeMessageId(entry.id), entry);
+  }
+  for (const entry of floatingMemory) {
+    liveById.set(normalizeMessageId(entry.id ?? entry.timestamp), entry);
+  }
+  const resolved = new Map();
+  const archivedIds = [];
+  for (const id of ids) {
+    const live = liveById.get(id) ?? lexicalEntryRefs.get(id);
+    if (live) {
+      resolved.set(id, live);
+    } else {
+      archivedIds.push(id);
+    }
+  }
+  const stored = await getMessagesByIds(archivedIds);
+  stored.forEach((record, id) => {
+    resolved.set(id, {
+      ...record,
+      id,
+      timestamp: normalizeTimestamp(record.timestamp),
+      origin: isRagDerived(record) ? record.origin : 'long-term',
+      turnNumber: record.turnNumber ?? undefined,
+      pinned: pinnedMessageIds.has(id)
+    });
+  });
+  return resolved;
+}
+
+// Ids of indexed memories whose stored vector is missing or was computed from different content.
+function findUnembeddedMemoryIds() {
+  const missing = [];
+  lexicalIndex.documents.forEach((document, id) => {
+    if (!getVectorForHash(id, document.hash)) {
+      missing.push(id);
+    }
+  });
+  return missing;
+}
+
+function rankLexicalMatches(lexicalScores) {
+  return [...lexicalScores].map(([id, score]) => ({ id, score, method: 'keyword' }));
+}
+
+// Memories without a fresh vector (even after a bounded on-the-fly backfill) keep their keyword score.
+async function scoreCandidatesSemantically(query, lexicalScores) {
+  const [queryVector] = await requestEmbeddings([query]);
+  const queryNorm = vectorNorm(queryVector);
+  const missing = await resolveMemoryEntries(findUnembeddedMemoryIds().slice(0, EMBEDDING_BACKFILL_LIMIT));
+  if (missing.size) {
+    await embedAndStoreEntries([...missing.values()]);
+  }
+
+  const scores = [];
+  lexicalIndex.documents.forEach((document, id) => {
+    const record = getVectorForHash(id, document.hash);
+    if (record) {
+      scores.push({ id, score: vectorCosine(queryVector, queryNorm, record.vector, record.norm), method: 'semantic' });
+      return;
+    }
+    const keywordScore = lexicalScores.get(id);
+    if (keywordScore) {
+      scores.push({ id, score: keywordScore, method: 'keyword' });
+    }
+  });
+  return scores;
+}
+
+function isEmbeddingEnabled() {
+  return Boolean(config.embeddingEndpoint?.trim() && config.embeddingModel?.trim());
+}
+
+function hashText(text) {
+  // FNV-1a; only used to notice when stored content changed, not for security.
+  let hash = 0x811c9dc5;
+  const value = text ?? '';
+  for (let index = 0; index < value.length; index += 1) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function getStoredVector(id, content) {
+  return getVectorForHash(id, hashText(content));
+}
+
+function getVectorForHash(id, hash) {
+  const record = vectorIndex.get(id);
+  if (!record || record.model !== config.embeddingModel || record.hash !== hash) {
+    return null;
+  }
+  return record;
+}
+
+async function requestEmbeddings(texts) {
+  const headers = { 'Content-Type': 'application/json' };
+  const apiKey = (config.embeddingApiKey || '').trim();
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), MODEL_REQUEST_TIMEOUT);
+  try {
+    const response = await fetch(config.embeddingEndpoint.trim(), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: config.embeddingModel.trim(),
+        input: texts.map((text) => text.slice(0, EMBEDDING_MAX_CHARS))
+      }),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(formatProviderError(response.status, text));
+    }
+    const data = await response.json();
+    const rows = Array.isArray(data?.data) ? [...data.data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)) : [];
+    if (rows.length !== texts.length || rows.some((row) => !Array.isArray(row?.embedding))) {
+      throw new Error(`Embedding endpoint returned ${rows.length} vector(s) for ${texts.length} input(s).`);
+    }
+    return rows.map((row) => Float32Array.from(row.embedding));
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Embedding request timed out after ${MODEL_REQUEST_TIMEOUT / 1000} seconds.`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function vectorNorm(vector) {
+  let sum = 0;
+  for (let index = 0; index < vector.length; index += 1) {
+    sum += vector[index] * vector[index];
+  }
+  return Math.sqrt(sum);
+}
+
+function vectorCosine(a, aNorm, b, bNorm) {
+  if (!aNorm || !bNorm || a.length !== b.length) return 0;
+  let dot = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    dot += a[index] * b[index];
+  }
+  return dot / (aNorm * bNorm);
+}
+
+async function embedAndStoreEntries(entries) {
+  let stored = 0;
+  for (let start = 0; start < entries.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = entries.slice(start, start + EMBEDDING_BATCH_SIZE).filter((entry) => entry.content?.trim());
+    if (!batch.length) continue;
+    const vectors = await requestEmbeddings(batch.map((entry) => entry.content));
+    const records = batch.map((entry, index) => ({
+      id: normalizeMessageId(entry.id ?? entry.timestamp),
+      model: config.embeddingModel,
+      hash: hashText(entry.content),
+      vector: vectors[index],
+      norm: vectorNorm(vectors[index]),
+      updatedAt: Date.now()
+    }));
+    for (const record of records) {
+      vectorIndex.set(record.id, record);
+    }
+    await putVectorRecords(records);
+    stored += records.length;
+  }
+  updateEmbeddingStatus();
+  return stored;
+}
+
+function queueEmbedding(entry) {
+  if (!isEmbeddingEnabled() || !entry?.content?.trim()) return;
+  const id = normalizeMessageId(entry.id ?? entry.timestamp);
+  if (getStoredVector(id, entry.content)) return;
+  embeddingQueue.set(id, entry);
+  clearTimeout(embeddingFlushTimer);
+  embeddingFlushTimer = setTimeout(() => {
+    void flushEmbeddingQueue();
+  }, 400);
+}
+
+async function flushEmbeddingQueue() {
+  const batch = [...embeddingQueue.values()];
+  embeddingQueue.clear();
+  if (!batch.length) return;
+  try {
+    await embedAndStoreEntries(batch);
+  } catch (error) {
+    void recordLog('error', `Embedding update failed: ${error.message || 'Unknown error'}`, { level: 'warn', silent: true });
+  }
+}
+
+async function backfillEmbeddings() {
+  if (!isEmbeddingEnabled()) {
+    addSystemMessage('Set an embedding endpoint and model before indexing memories.');
+    return;
+  }
+  syncFloatingMemoryIndex();
+  const missing = [...(await resolveMemoryEntries(findUnembeddedMemoryIds())).values()];
+  if (!missing.length) {
+    addSystemMessage('Every memory already has an up-to-date embedding.');
+    return;
+  }
+  if (elements.embeddingStatus) {
+    elements.embeddingStatus.textContent = `Embedding ${missing.length} memories…`;
+  }
+  try {
+    const stored = await embedAndStoreEntries(missing);
+    addSystemMessage(`Indexed ${stored} memories with ${config.embeddingModel}.`);
+  } catch (error) {
+    addSystemMessage(`Embedding index failed: ${error.message || 'Unknown error'}`);
+    void recordLog('error', `Embedding backfill failed: ${error.message || 'Unknown error'}`, { level: 'error' });
+    updateEmbeddingStatus();
+  }
+}
+
+function updateEmbeddingStatus() {
+  if (!elements.embeddingStatus) return;
+  if (!isEmbeddingEnabled()) {
+    const count = lexicalIndex.documents.size;
+    elements.embeddingStatus.textContent = `Semantic retrieval off • BM25 keyword index over ${count} memor${count === 1 ? 'y' : 'ies'}.`;
+    return;
+  }
+  let current = 0;
+  vectorIndex.forEach((record) => {
+    if (record.model === config.embeddingModel) current += 1;
+  });
+  elements.embeddingStatus.textContent = `Semantic retrieval on • ${current} vector${current === 1 ? '' : 's'} indexed for ${config.embeddingModel}.`;
+}
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .match(/[a-z0-9]+/g)
+    ?.filter((token) => token.length > 1) || [];
+}
+
+function stemTerm(token) {
+  if (token.length <= 3 || /\d/.test(token)) return token;
+  let stem = token;
+  if (stem.endsWith('ies') && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (stem.endsWith('sses')) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+  for (const [suffix, replacement] of STEM_SUFFIXES) {
+    if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+      stem = `${stem.slice(0, -suffix.length)}${replacement}`;
+      // -ing/-ed often leave a doubled consonant behind (running -> runn).
+      if (!replacement && /([^aeiouslz])\1$/.test(stem)) {
+        stem = stem.slice(0, -1);
+      }
+      break;
+    }
   }
-  trimFloatingMemory();
-  addSystemMessage(`Promoted ${memories.length} memory snippet(s) into the floating context.`);
+  if (stem.length > 3 && stem.endsWith('e')) {
+    stem = stem.slice(0, -1);
+  }
+  return stem;
 }
 
-async function retrieveRelevantMemories(query, limit) {
-  const tokens = tokenize(query);
-  if (!tokens.length) return [];
+function analyzeText(text) {
+  const terms = [];
+  for (const token of tokenize(text)) {
+    if (!STOP_WORDS.has(token)) {
+      terms.push(stemTerm(token));
+    }
+  }
+  return terms;
+}
 
-  const candidates = new Map();
-  for (const entry of floatingMemory) {
-    const id = normalizeMessageId(entry.id ?? entry.timestamp);
-    candidates.set(id, entry);
+function addLexicalDocument(document) {
+  removeLexicalDocument(document.id);
+  lexicalIndex.documents.set(document.id, document);
+  lexicalIndex.totalLength += document.length;
+  for (const [term, frequency] of Object.entries(document.terms)) {
+    let postings = lexicalIndex.postings.get(term);
+    if (!postings) {
+      postings = new Map();
+      lexicalIndex.postings.set(term, postings);
+    }
+    postings.set(document.id, frequency);
   }
+}
 
-  const stored = await getAllMessages();
-  for (const entry of stored) {
-    const normalizedTimestamp = normalizeTimestamp(entry.timestamp);
-    const id = normalizeMessageId(entry.id ?? normalizedTimestamp);
-    if (!candidates.has(id)) {
-      const logMatch = conversationLog.find((item) => normalizeMessageId(item.id) === id);
-      if (logMatch) {
-        candidates.set(id, logMatch);
-      } else {
-        candidates.set(id, {
-          id,
-          role: entry.role,
-          content: entry.content,
-          timestamp: normalizedTimestamp,
-          origin: 'long-term',
-          turnNumber: entry.turnNumber ?? undefined,
-          pinned: pinnedMessageIds.has(id)
-        });
-      }
+function removeLexicalDocument(id) {
+  const existing = lexicalIndex.documents.get(id);
+  if (!existing) return;
+  lexicalIndex.documents.delete(id);
+  lexicalEntryRefs.delete(id);
+  lexicalIndex.totalLength -= existing.length;
+  for (const term of Object.keys(existing.terms)) {
+    const postings = lexicalIndex.postings.get(term);
+    if (!postings) continue;
+    postings.delete(id);
+    if (!postings.size) {
+      lexicalIndex.postings.delete(term);
     }
   }
+}
 
-  const scores = [];
-  candidates.forEach((value) => {
-    const score = cosineSimilarity(tokens, tokenize(value.content));
-    if (score > 0) {
-      scores.push({ entry: value, score });
+// Returns true when the entry was new or its content changed; unchanged entries are a hash check. `retain`
+// keeps a reference so the entry resolves even after it leaves floating memory; archived messages skip it
+// because the messages store already has them.
+function indexLexicalEntry(entry, { retain = true } = {}) {
+  if (!entry?.content?.trim()) return false;
+  lexicallyIndexedEntries.add(entry);
+  const id = normalizeMessageId(entry.id ?? entry.timestamp);
+  const hash = hashText(entry.content);
+  if (lexicalIndex.documents.get(id)?.hash === hash) {
+    if (retain) lexicalEntryRefs.set(id, entry);
+    return false;
+  }
+
+  const terms = {};
+  const analyzed = analyzeText(entry.content);
+  for (const term of analyzed) {
+    terms[term] = (terms[term] || 0) + 1;
+  }
+  const document = {
+    id,
+    hash,
+    analyzer: LEXICAL_ANALYZER_VERSION,
+    length: analyzed.length,
+    terms,
+    ...describeLexicalEntry(entry)
+  };
+  addLexicalDocument(document);
+  if (retain) lexicalEntryRefs.set(id, entry);
+  queueLexicalPersist(document);
+  return true;
+}
+
+// The ranking fields kept beside the postings; content is resolved from its source when a match is used.
+function describeLexicalEntry(entry) {
+  return {
+    role: entry.role,
+    origin: entry.origin ?? 'floating',
+    mode: entry.mode ?? MODE_CHAT,
+    timestamp: normalizeTimestamp(entry.timestamp),
+    pinned: Boolean(entry.pinned)
+  };
+}
+
+// Drops documents a source no longer produces (an edited file re-split into different passages, say).
+function pruneLexicalDocuments(predicate) {
+  const stale = [];
+  lexicalIndex.documents.forEach((document, id) => {
+    if (predicate(id, document)) {
+      stale.push(id);
     }
   });
+  if (!stale.length) return;
+  for (const id of stale) {
+    removeLexicalDocument(id);
+    lexicalPersistQueue.delete(id);
+  }
+  void deleteLexicalRecords(stale).catch((error) => {
+    console.error('Failed to prune keyword index', error);
+  });
+}
 
-  scores.sort((a, b) => b.score - a.score);
-  const selected = limit > 0 ? scores.slice(0, limit) : scores;
-  return selected.map((item) => item.entry);
+function syncFloatingMemoryIndex() {
+  for (const entry of floatingMemory) {
+    if (!lexicallyIndexedEntries.has(entry)) {
+      indexLexicalEntry(entry);
+    }
+  }
 }
 
-function tokenize(text) {
-  return (text || '')
-    .toLowerCase()
-    .match(/[a-z0-9]+/g)
-    ?.filter((token) => token.length > 1) || [];
+function queueLexicalPersist(document) {
+  lexicalPersistQueue.set(document.id, document);
+  clearTimeout(lexicalPersistTimer);
+  lexicalPersistTimer = setTimeout(() => {
+    void flushLexicalPersistQueue();
+  }, 500);
 }
 
-function cosineSimilarity(queryTokens, docTokens) {
-  if (!docTokens.length) return 0;
-  const tf = new Map();
-  for (const token of docTokens) {
-    tf.set(token, (tf.get(token) || 0) + 1);
-  }
-  let dotProduct = 0;
-  let queryMagnitude = 0;
-  let docMagnitude = 0;
-  const queryCounts = new Map();
-  for (const token of queryTokens) {
-    queryCounts.set(token, (queryCounts.get(token) || 0) + 1);
+async function flushLexicalPersistQueue() {
+  const batch = [...lexicalPersistQueue.values()];
+  lexicalPersistQueue.clear();
+  try {
+    await putLexicalRecords(batch);
+  } catch (error) {
+    void recordLog('error', `Keyword index update failed: ${error.message || 'Unknown error'}`, { level: 'warn', silent: true });
+  }
+}
+
+// Only postings for the query's own terms are walked, so cost tracks matches rather than archive size.
+// Scores are divided by the summed IDF of the known query terms, so a document that contains every term
+// once at average length scores about 1 and keyword scores share the 0..1 scale of cosine similarity.
+function scoreLexicalMatches(queryTerms) {
+  const scores = new Map();
+  const documentCount = lexicalIndex.documents.size;
+  if (!documentCount) return scores;
+  const averageLength = lexicalIndex.totalLength / documentCount || 1;
+  let idfTotal = 0;
+  for (const term of new Set(queryTerms)) {
+    const postings = lexicalIndex.postings.get(term);
+    if (!postings) continue;
+    const idf = Math.log(1 + (documentCount - postings.size + 0.5) / (postings.size + 0.5));
+    idfTotal += idf;
+    postings.forEach((frequency, id) => {
+      const length = lexicalIndex.documents.get(id)?.length ?? averageLength;
+      const normalization = BM25_K1 * (1 - BM25_B + (BM25_B * length) / averageLength);
+      const weight = (frequency * (BM25_K1 + 1)) / (frequency + normalization);
+      scores.set(id, (scores.get(id) || 0) + idf * weight);
+    });
   }
-  queryCounts.forEach((count, token) => {
-    queryMagnitude += count * count;
-    if (tf.has(token)) {
-      dotProduct += count * tf.get(token);
-    }
-  });
-  tf.forEach((count) => {
-    docMagnitude += count * count;
+  scores.forEach((score, id) => {
+    scores.set(id, Math.min(1, score / idfTotal));
   });
-  if (!queryMagnitude || !docMagnitude) return 0;
-  return dotProduct / Math.sqrt(queryMagnitude * docMagnitude);
+  return scores;
 }
 
 function trimResponseToTokenLimit(text, limit) {
@@ -4850,105 +8252,91 @@ async function callModel(messages, overrides = {}) {
   const temperature = overrides.temperature ?? config.temperature;
   const apiKey = overrides.apiKey ?? config.apiKey;
   const maxTokens = overrides.maxTokens ?? config.maxResponseTokens;
+  const thinkingBudget = overrides.thinkingBudget ?? config.thinkingBudget;
   const providerPreset = overrides.providerPreset ?? config.providerPreset;
+  const onToken = typeof overrides.onToken === 'function' ? overrides.onToken : null;
+  const stream = Boolean(onToken);
+  const cancelSignal = overrides.signal ?? null;
 
   if (!endpoint || !model) {
     throw new Error('Model endpoint or name missing.');
   }
 
-  const preset = providerPresetMap.get(providerPreset);
-  const isAnthropic = preset?.anthropicFormat;
-  const isGoogle = preset?.googleFormat;
+  const adapter = getProviderAdapter(providerPreset);
+  const request = adapter.buildRequest({
+    endpoint,
+    model,
+    apiKey,
+    messages,
+    temperature,
+    maxTokens,
+    thinkingBudget,
+    stream
+  });
 
-  let headers = { 'Content-Type': 'application/json' };
-  let payload = {};
-  let requestEndpoint = endpoint;
+  // The timeout is an idle timer: streamed replies re-arm it on every chunk so long generations are not cut off.
+  const controller = new AbortController();
+  let timeoutId;
+  const armTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), MODEL_REQUEST_TIMEOUT);
+  };
 
-  if (isAnthropic) {
-    // Anthropic format
-    headers = {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01'
-    };
-    payload = {
-      model,
-      max_tokens: Math.round(maxTokens) || 4096,
-      temperature,
-      messages: messages.map(msg => ({
-        role: msg.role === 'assistant' ? 'assistant' : 'user',
-        content: msg.content
-      }))
-    };
-  } else if (isGoogle) {
-    // Google Gemini format
-    requestEndpoint = `${endpoint}${model}:generateContent?key=${apiKey}`;
-    payload = {
-      contents: [{
-        parts: [{ text: messages.map(msg => `${msg.role}: ${msg.content}`).join('\n\n') }]
-      }],
-      generationConfig: {
-        temperature,
-        maxOutputTokens: Math.round(maxTokens) || 2048
-      }
-    };
-  } else {
-    // Standard OpenAI format
-    if (apiKey) {
-      headers.Authorization = `Bearer ${apiKey}`;
-    }
-    payload = {
-      model,
-      messages,
-      temperature,
-      stream: false
-    };
-    if (Number.isFinite(maxTokens) && maxTokens > 0) {
-      payload.max_tokens = Math.round(maxTokens);
+  // A user-initiated cancel aborts the same controller; whatever streamed so far is kept as the reply.
+  let partial = { text: '', reasoning: '' };
+  const handleToken = onToken
+    ? (snapshot) => {
+      partial = snapshot;
+      onToken(snapshot);
     }
-  }
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
+    : null;
+  const cancel = () => controller.abort();
+  cancelSignal?.addEventListener('abort', cancel, { once: true });
 
+  let message = {};
+  let cancelled = false;
+  let notice = '';
+  armTimeout();
   try {
-    const response = await fetch(requestEndpoint, {
+    if (cancelSignal?.aborted) {
+      throw new DOMException('Request cancelled.', 'AbortError');
+    }
+    const response = await fetch(request.url, {
       method: 'POST',
-      headers,
-      body: JSON.stringify(payload),
+      headers: request.headers,
+      body: JSON.stringify(request.body),
       signal: controller.signal
     });
-    clearTimeout(timeoutId);
-  } catch (error) {
-    clearTimeout(timeoutId);
-    if (error.name === 'AbortError') {
-      throw new Error('Request timed out after 30 seconds.');
-    }
-    throw error;
-  }
-
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`HTTP ${response.status}: ${text}`);
-  }
 
-  const data = await response.json();
+    if (!response.ok) {
+      const text = await response.text();
+      const httpError = new Error(adapter.normalizeError(response.status, text));
+      httpError.status = response.status;
+      httpError.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      throw httpError;
+    }
 
-  let message = {};
-  if (isAnthropic) {
-    // Anthropic response format
-    message = {
-      content: data.content?.[0]?.text || '',
-      reasoning: data.content?.find(c => c.type === 'thinking')?.thinking || ''
-    };
-  } else if (isGoogle) {
-    // Google Gemini response format
-    message = {
-      content: data.candidates?.[0]?.content?.parts?.[0]?.text || ''
-    };
-  } else {
-    // Standard OpenAI format
-    message = data?.choices?.[0]?.message ?? {};
+    const contentType = response.headers.get('content-type') || '';
+    if (stream && response.body && contentType.includes('text/event-stream')) {
+      message = await readModelStream(response, adapter, handleToken, armTimeout);
+    } else {
+      message = adapter.parseResponse(await response.json());
+    }
+    notice = message.notice ?? '';
+  } catch (error) {
+    if (error.name === 'AbortError' && cancelSignal?.aborted) {
+      cancelled = true;
+      message = { content: partial.text, reasoning: partial.reasoning };
+    } else if (error.name === 'AbortError') {
+      const timeoutError = new Error(`Request timed out after ${MODEL_REQUEST_TIMEOUT / 1000} seconds.`);
+      timeoutError.retryable = true;
+      throw timeoutError;
+    } else {
+      throw error;
+    }
+  } finally {
+    clearTimeout(timeoutId);
+    cancelSignal?.removeEventListener('abort', cancel);
   }
 
   const { text, reasoning } = normalizeModelMessage(message);
@@ -4961,15 +8349,382 @@ async function callModel(messages, overrides = {}) {
   }
   const combined = segments.join('\n\n').trim();
   if (!combined) {
-    return { content: '', truncated: false, reasoning: reasoning ?? '' };
+    return { content: '', truncated: false, reasoning: reasoning ?? '', cancelled, notice };
   }
 
   if (!Number.isFinite(maxTokens) || maxTokens <= 0) {
-    return { content: combined, truncated: false, reasoning };
+    return { content: combined, truncated: false, reasoning, cancelled, notice };
   }
 
   const trimmedResult = trimResponseToTokenLimit(combined, Math.round(maxTokens));
-  return { ...trimmedResult, reasoning };
+  return { ...trimmedResult, reasoning, cancelled, notice };
+}
+
+// Wraps callModel with backoff retries on transient failures, then walks the connection's fallback presets.
+// Only network, timeout and retryable HTTP failures move down the chain; a user abort or a rejected request
+// (bad key, malformed payload) is surfaced from the provider that caused it.
+async function callModelWithFailover(messages, overrides = {}, options = {}) {
+  const { fallbackPresets = [], processKey } = options;
+  const primaryPreset = overrides.providerPreset ?? config.providerPreset;
+  const chain = [
+    {
+      connection: {},
+      label: overrides.providerLabel ?? providerPresetMap.get(primaryPreset)?.label ?? 'Custom'
+    },
+    ...fallbackPresets
+      .filter((presetId) => presetId !== primaryPreset)
+      .map(resolveFallbackConnection)
+      .filter((connection) => connection?.endpoint && connection.model)
+      .map((connection) => ({ connection, label: connection.providerLabel }))
+  ];
+
+  let lastError;
+  for (let index = 0; index < chain.length; index += 1) {
+    const { connection, label } = chain[index];
+    if (index > 0) {
+      addSystemMessage(`${chain[index - 1].label} failed (${lastError?.message || 'unknown error'}). Trying ${label}…`);
+      void recordLog('model', `Failing over to ${label}`, { level: 'warn', silent: true });
+    }
+    try {
+      const result = await callModelWithRetry(messages, { ...overrides, ...connection }, { processKey, label });
+      return { ...result, providerLabel: label, failedOver: index > 0 };
+    } catch (error) {
+      if (overrides.signal?.aborted || error.name === 'AbortError' || !isRetryableModelError(error)) {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+async function callModelWithRetry(messages, overrides, { processKey, label }) {
+  const maxAttempts = Math.max(0, Math.round(config.retryAttempts ?? 0));
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await callModel(messages, overrides);
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryableModelError(error) || overrides.signal?.aborted) {
+        throw error;
+      }
+      const backoff = (config.retryBaseDelay ?? 1) * 1000 * 2 ** attempt;
+      const delay = Math.min(MAX_RETRY_DELAY, error.retryAfterMs ?? backoff * (0.8 + Math.random() * 0.4));
+      if (processKey) {
+        updateProcessState(processKey, {
+          status: 'Retrying',
+          detail: `${label}: ${error.message} • retry ${attempt + 1}/${maxAttempts} in ${(delay / 1000).toFixed(1)}s`
+        });
+      }
+      void recordLog('model', `${label} retry ${attempt + 1}/${maxAttempts}: ${error.message}`, {
+        level: 'warn',
+        silent: true
+      });
+      await waitForRetry(delay, overrides.signal);
+    }
+  }
+}
+
+function isRetryableModelError(error) {
+  if (!error) return false;
+  if (error.retryable || RETRYABLE_STATUS_CODES.has(error.status)) return true;
+  // fetch() rejects with a TypeError when the network or CORS preflight fails outright.
+  return error instanceof TypeError;
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function waitForRetry(ms, signal) {
+  return new Promise((resolve) => {
+    const finish = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', finish);
+      resolve();
+    };
+    const timer = setTimeout(finish, ms);
+    signal?.addEventListener('abort', finish, { once: true });
+  });
+}
+
+function resolveFallbackConnection(presetId) {
+  const preset = providerPresetMap.get(presetId);
+  if (!preset) return null;
+  const base = {
+    endpoint: preset.endpoint,
+    model: preset.model,
+    apiKey: '',
+    providerPreset: preset.id,
+    providerLabel: preset.label
+  };
+  if (config.providerPreset === preset.id) {
+    return { ...base, endpoint: config.endpoint || base.endpoint, model: config.model || base.model, apiKey: config.apiKey };
+  }
+  for (const prefix of ['agentA', 'agentB']) {
+    if (config[`${prefix}ProviderPreset`] === preset.id) {
+      return {
+        ...base,
+        endpoint: config[`${prefix}Endpoint`] || base.endpoint,
+        model: config[`${prefix}Model`] || base.model,
+        apiKey: config[`${prefix}ApiKey`] || ''
+      };
+    }
+  }
+  return base;
+}
+
+function beginModelRequest(requestKey, processKey) {
+  cancelModelRequest(requestKey);
+  const controller = new AbortController();
+  activeModelRequests.set(requestKey, { controller, processKey });
+  updateStopControls();
+  return controller;
+}
+
+function finishModelRequest(requestKey, controller) {
+  if (controller && activeModelRequests.get(requestKey)?.controller === controller) {
+    activeModelRequests.delete(requestKey);
+  }
+  updateStopControls();
+}
+
+function cancelModelRequest(requestKey) {
+  const request = activeModelRequests.get(requestKey);
+  if (!request) {
+    return false;
+  }
+  activeModelRequests.delete(requestKey);
+  request.controller.abort();
+  updateProcessState(request.processKey, { status: 'Cancelling', detail: 'Stopping the in-flight request.' });
+  updateStopControls();
+  return true;
+}
+
+function updateStopControls() {
+  if (elements.stopButton) {
+    elements.stopButton.disabled = !activeModelRequests.has(CHAT_REQUEST_KEY);
+  }
+}
+
+function registerProviderAdapter(adapter) {
+  providerAdapters.set(adapter.id, adapter);
+}
+
+function getProviderAdapter(presetId) {
+  const preset = providerPresetMap.get(presetId);
+  return providerAdapters.get(preset?.adapter ?? 'openai') ?? providerAdapters.get('openai');
+}
+
+function deriveSiblingUrl(endpoint, pattern, replacement) {
+  try {
+    const url = new URL(endpoint);
+    if (!pattern.test(url.pathname)) return '';
+    url.pathname = url.pathname.replace(pattern, replacement);
+    url.search = '';
+    return url.toString();
+  } catch (error) {
+    return '';
+  }
+}
+
+function formatProviderError(status, text) {
+  let detail = typeof text === 'string' ? text.trim() : '';
+  try {
+    const parsed = JSON.parse(detail);
+    const error = parsed?.error;
+    const message = typeof error === 'string' ? error : error?.message ?? parsed?.message;
+    const kind = error?.type ?? error?.status ?? error?.code;
+    if (message) {
+      detail = kind && typeof kind === 'string' ? `${message} (${kind})` : message;
+    }
+  } catch (error) {
+    // Plain-text bodies are reported as-is.
+  }
+  return `HTTP ${status}: ${detail || 'request failed'}`;
+}
+
+function buildAnthropicHeaders(apiKey) {
+  return {
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01',
+    // Required for Anthropic to answer CORS requests made straight from the browser.
+    'anthropic-dangerous-direct-browser-access': 'true'
+  };
+}
+
+function buildAnthropicPayload(messages, { model, maxTokens, temperature, stream, thinkingBudget }) {
+  const systemParts = [];
+  const turns = [];
+  for (const msg of messages) {
+    const content = typeof msg.content === 'string' ? msg.content.trim() : '';
+    if (!content) continue;
+    if (msg.role === 'system') {
+      systemParts.push(content);
+      continue;
+    }
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+    const previous = turns[turns.length - 1];
+    // The Messages API rejects consecutive turns from the same role, so fold them together.
+    if (previous?.role === role) {
+      previous.content = `${previous.content}\n\n${content}`;
+    } else {
+      turns.push({ role, content });
+    }
+  }
+  if (turns[0]?.role !== 'user') {
+    turns.unshift({ role: 'user', content: '(continue the conversation)' });
+  }
+
+  const responseTokens = Math.round(maxTokens) || 4096;
+  const budget = normalizeThinkingBudget(thinkingBudget);
+  const payload = {
+    model,
+    max_tokens: budget ? budget + responseTokens : responseTokens,
+    stream,
+    messages: turns
+  };
+  if (systemParts.length) {
+    payload.system = systemParts.join('\n\n');
+  }
+  if (budget) {
+    // Extended thinking requires the default temperature, and max_tokens must leave room beyond the budget.
+    payload.thinking = { type: 'enabled', budget_tokens: budget };
+  } else {
+    payload.temperature = temperature;
+  }
+  return payload;
+}
+
+function buildGeminiPayload(messages, { maxTokens, temperature }) {
+  const systemParts = [];
+  const contents = [];
+  for (const msg of messages) {
+    const text = typeof msg.content === 'string' ? msg.content.trim() : '';
+    if (!text) continue;
+    if (msg.role === 'system') {
+      systemParts.push(text);
+      continue;
+    }
+    const role = msg.role === 'assistant' ? 'model' : 'user';
+    const previous = contents[contents.length - 1];
+    if (previous?.role === role) {
+      previous.parts.push({ text });
+    } else {
+      contents.push({ role, parts: [{ text }] });
+    }
+  }
+  if (contents[0]?.role !== 'user') {
+    contents.unshift({ role: 'user', parts: [{ text: '(continue the conversation)' }] });
+  }
+
+  const payload = {
+    contents,
+    generationConfig: {
+      temperature,
+      maxOutputTokens: Math.round(maxTokens) || 2048
+    }
+  };
+  if (systemParts.length) {
+    payload.systemInstruction = { parts: [{ text: systemParts.join('\n\n') }] };
+  }
+  return payload;
+}
+
+function describeGeminiNotice(data) {
+  const blockReason = data?.promptFeedback?.blockReason;
+  if (blockReason) {
+    const detail = data.promptFeedback.blockReasonMessage ? `: ${data.promptFeedback.blockReasonMessage}` : '';
+    return `Gemini blocked the prompt (${blockReason})${detail}.`;
+  }
+  const candidate = data?.candidates?.[0];
+  const finishReason = candidate?.finishReason;
+  if (!finishReason || finishReason === 'STOP' || finishReason === 'FINISH_REASON_UNSPECIFIED') {
+    return '';
+  }
+  const flagged = (candidate.safetyRatings ?? [])
+    .filter((rating) => rating.blocked || rating.probability === 'HIGH' || rating.probability === 'MEDIUM')
+    .map((rating) => String(rating.category ?? '').replace(/^HARM_CATEGORY_/, '').replace(/_/g, ' ').toLowerCase());
+  const detail = flagged.length ? ` (${flagged.join(', ')})` : '';
+  return `Gemini stopped early: ${finishReason}${detail}.`;
+}
+
+async function readModelStream(response, adapter, onToken, onActivity) {
+  let text = '';
+  let reasoning = '';
+  let notice = '';
+  await consumeEventStream(response, (eventName, data) => {
+    if (!data || typeof data !== 'object') return;
+    const delta = adapter.parseStreamEvent(eventName, data);
+    if (delta.notice) {
+      notice = delta.notice;
+    }
+    if (!delta.text && !delta.reasoning) return;
+    text += delta.text ?? '';
+    reasoning += delta.reasoning ?? '';
+    try {
+      onToken({ text, reasoning });
+    } catch (error) {
+      console.warn('Stream renderer failed', error);
+    }
+  }, onActivity);
+  return { content: text, reasoning, notice };
+}
+
+async function consumeEventStream(response, onEvent, onActivity) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let eventName = 'message';
+    const dataLines = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (!line || line.startsWith(':')) continue;
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'event') {
+        eventName = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      }
+    }
+    if (!dataLines.length) return;
+    const raw = dataLines.join('\n');
+    if (raw === '[DONE]') return;
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      console.warn('Skipping malformed stream event:', raw);
+      return;
+    }
+    onEvent(eventName, data);
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    onActivity?.();
+    buffer += decoder.decode(value, { stream: true });
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      dispatch(block);
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
 }
 
 function toggleVoiceInput() {
@@ -5341,6 +9096,8 @@ function resetDualChat() {
 
 function stopDualChat() {
   isDualChatRunning = false;
+  cancelModelRequest('arenaA');
+  cancelModelRequest('arenaB');
   if (autoContinueTimer) {
     clearTimeout(autoContinueTimer);
     autoContinueTimer = undefined;
@@ -5578,65 +9335,108 @@ async function generateDualTurn(speaker, seed, options = {}) {
   }
 
   const processKey = speaker === 'A' ? 'modelA' : 'modelB';
+  const requestKey = `arena${speaker}`;
   updateProcessState(processKey, {
     status: 'Retrieving',
     detail: `${speakerName} is gathering arena memories.`
   });
 
-  const historyMessages = [];
-  historyMessages.push({
+  const personaMessage = {
     role: 'system',
     content: persona || `You are ${speakerName}, an autonomous AI who is collaborating with ${partnerName}. Reply as ${speakerName}.`
-  });
+  };
 
-  for (const turn of dualChatHistory) {
-    const label = turn.speaker === speaker ? speakerName : partnerName;
-    const role = turn.speaker === speaker ? 'assistant' : 'user';
-    historyMessages.push({ role, content: `${label}: ${turn.content}` });
-  }
+  const transcript = dualChatHistory.map((turn) => ({
+    role: turn.speaker === speaker ? 'assistant' : 'user',
+    content: `${turn.speaker === speaker ? speakerName : partnerName}: ${turn.content}`,
+    turnNumber: turn.turnNumber,
+    timestamp: turn.timestamp
+  }));
+  const summaryMessage = buildSummaryMessage(MODE_ARENA);
 
   const latestPartnerTurn = dualChatHistory.filter((turn) => turn.speaker === partner).slice(-1)[0];
+  let promptMessage = null;
   if (options.isInitial) {
-    historyMessages.push({
-      role: 'user',
-      content: `${partnerName}: ${seed}`
-    });
+    promptMessage = { role: 'user', content: `${partnerName}: ${seed}` };
   } else if (latestPartnerTurn) {
-    historyMessages.push({
-      role: 'user',
-      content: `${partnerName}: ${latestPartnerTurn.content}`
-    });
+    promptMessage = { role: 'user', content: `${partnerName}: ${latestPartnerTurn.content}` };
   }
 
   const retrievalQuery = options.isInitial ? seed : latestPartnerTurn?.content ?? seed;
-  let retrievedMemories = [];
-  if (retrievalQuery) {
-    retrievedMemories = await retrieveRelevantMemories(retrievalQuery, config.retrievalCount);
-    if (retrievedMemories.length) {
-      const compiled = retrievedMemories
-        .map((item) => `${formatTimestamp(item.timestamp)} • ${item.role}: ${item.content}`)
-        .join('\n');
-      historyMessages.push({
-        role: 'system',
-        content: `Shared long-term memories:\n${compiled}`
-      });
-    }
+  const renderMemories = (items) =>
+    `Shared long-term memories. ${MEMORY_CITATION_INSTRUCTION}\n${formatMemoryLines(items)}`;
+  const candidateMemories = retrievalQuery
+    ? fitMemoriesToTokenBudget(
+        retrievalQuery,
+        await retrieveRelevantMemories(retrievalQuery, config.retrievalCount),
+        renderMemories
+      )
+    : [];
+  const fixedMessages = [personaMessage];
+  if (summaryMessage) fixedMessages.push(summaryMessage);
+  if (promptMessage) fixedMessages.push(promptMessage);
+  const budget = fitPromptToContext({
+    fixedMessages,
+    memories: candidateMemories,
+    renderMemories,
+    history: transcript,
+    contextLimit: getConnectionContextLimit(connection),
+    reserveTokens: getResponseReserve(connection)
+  });
+  reportContextBudget(processKey, budget.report);
+  const retrievedMemories = budget.memories;
+
+  const historyMessages = [personaMessage];
+  if (summaryMessage) {
+    historyMessages.push(summaryMessage);
+  }
+  for (const turn of budget.history) {
+    historyMessages.push({ role: turn.role, content: turn.content });
+  }
+  if (promptMessage) {
+    historyMessages.push(promptMessage);
+  }
+  if (retrievedMemories.length) {
+    assignMemoryCitations(retrievedMemories);
+    historyMessages.push({ role: 'system', content: renderMemories(retrievedMemories) });
   }
   registerRetrieval(speaker, retrievedMemories.length);
+  if (!isDualChatRunning) return;
 
+  let streamRenderer = null;
+  let request = null;
   try {
     updateProcessState(processKey, {
       status: 'Contacting model',
       detail: `Calling ${connection.model} at ${connection.endpoint}`
     });
-    if (speaker === 'A') {
-      modelAInFlight = true;
-    } else {
-      modelBInFlight = true;
+    request = beginModelRequest(requestKey, processKey);
+    streamRenderer = config.streamResponses ? createStreamingDualMessage(speaker) : null;
+    const { content: reply, truncated, reasoning, cancelled, notice, providerLabel } = await callModelWithFailover(
+      historyMessages,
+      { ...connection, onToken: streamRenderer?.update, signal: request.signal },
+      { fallbackPresets: connection.fallbackPresets, processKey }
+    );
+    if (notice) {
+      addSystemMessage(`${speakerName}: ${notice}`);
+    }
+    if (cancelled) {
+      if (reply) {
+        recordDualMessage(speaker, reply, {
+          marker: 'cancelled',
+          label: `cancelled • via ${providerLabel}`,
+          replaceNode: streamRenderer?.node
+        });
+      } else {
+        streamRenderer?.discard();
+      }
+      return;
     }
-    const { content: reply, truncated, reasoning } = await callModel(historyMessages, connection);
     if (!reply) {
-      addSystemMessage(`${speakerName} did not respond.`);
+      streamRenderer?.discard();
+      if (!notice) {
+        addSystemMessage(`${speakerName} did not respond.`);
+      }
       stopDualChat();
       return;
     }
@@ -5655,9 +9455,11 @@ async function generateDualTurn(speaker, seed, options = {}) {
     if (truncated) {
       badgeParts.push('trimmed');
     }
+    badgeParts.push(`via ${providerLabel}`);
     recordDualMessage(speaker, reply, {
       marker: truncated ? 'truncated' : undefined,
-      label: badgeParts.length ? badgeParts.join(' • ') : undefined
+      label: badgeParts.join(' • '),
+      replaceNode: streamRenderer?.node
     });
     updateProcessState(processKey, {
       status: 'Reply delivered',
@@ -5665,20 +9467,22 @@ async function generateDualTurn(speaker, seed, options = {}) {
     });
     nextDualSpeaker = partner;
     dualTurnsCompleted += 1;
+    void compactEvictedTurns(
+      MODE_ARENA,
+      budget.droppedTurns.map((turn) => ({ timestamp: normalizeTimestamp(turn.timestamp), text: turn.content })),
+      connection
+    );
     void maybeTriggerReflexSummary(speaker);
     updateEntropyMeter();
   } catch (error) {
+    streamRenderer?.discard();
     const errorMessage = error.message || 'Unknown error occurred';
     addSystemMessage(`Dual chat error: ${errorMessage}`);
     updateProcessState(processKey, { status: 'Error', detail: errorMessage });
     void recordLog('error', `Dual chat error for ${speakerName}: ${errorMessage}`, { level: 'error' });
     stopDualChat();
   } finally {
-    if (speaker === 'A') {
-      modelAInFlight = false;
-    } else {
-      modelBInFlight = false;
-    }
+    finishModelRequest(requestKey, request);
     setTimeout(() => {
       const stillRunning = isDualChatRunning;
       const disabled = speaker === 'B' && !config.agentBEnabled;
@@ -5694,7 +9498,14 @@ async function generateDualTurn(speaker, seed, options = {}) {
 }
 
 function recordDualMessage(speaker, content, options = {}) {
-  const { saveHistory = true, label, marker, turnNumber: providedTurn, countsAsTurn = true } = options;
+  const {
+    saveHistory = true,
+    label,
+    marker,
+    turnNumber: providedTurn,
+    countsAsTurn = true,
+    replaceNode
+  } = options;
   const timestamp = Date.now();
   let turnNumber = typeof providedTurn === 'number' ? providedTurn : null;
 
@@ -5760,11 +9571,15 @@ function recordDualMessage(speaker, content, options = {}) {
   }
   node.querySelector('.dual-speaker').textContent = speakerName;
   node.querySelector('.dual-time').textContent = formatTimestamp(timestamp);
-  node.querySelector('.dual-content').textContent = content;
+  renderCitedContent(node.querySelector('.dual-content'), content);
   if (marker) {
     node.classList.add(`dual-message--${marker}`);
   }
-  elements.dualChatWindow.appendChild(node);
+  if (replaceNode?.isConnected) {
+    replaceNode.replaceWith(node);
+  } else {
+    elements.dualChatWindow.appendChild(node);
+  }
   scrollContainerToBottom(elements.dualChatWindow);
   void persistDualRagSnapshot();
   updateEntropyMeter();
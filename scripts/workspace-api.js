@@ -0,0 +1,244 @@
+// Workspace file API for the dev server. Vite serves `rag/` read-only, so without this every chunker save and
+// log export falls back to the localStorage "RAM disk". The plugin exposes read/write/list/delete endpoints
+// under /__workspace, confined to the rag/ and logs/ folders and guarded by a per-session token that is only
+// handed to pages the dev server itself renders.
+
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const API_PREFIX = '/__workspace';
+const TOKEN_HEADER = 'x-workspace-token';
+const TOKEN_META_NAME = 'sam-workspace-token';
+const WRITABLE_ROOTS = ['rag', 'logs'];
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+const MAX_LIST_ENTRIES = 5000;
+
+class WorkspaceError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function resolveWorkspacePath(projectRoot, requestedPath) {
+  if (typeof requestedPath !== 'string' || !requestedPath.trim()) {
+    throw new WorkspaceError(400, 'Missing path');
+  }
+  const normalized = path.posix.normalize(requestedPath.trim().replace(/\\/g, '/').replace(/^\.\//, ''));
+  if (normalized.startsWith('/') || normalized === '..' || normalized.startsWith('../')) {
+    throw new WorkspaceError(403, `Path outside the workspace: ${requestedPath}`);
+  }
+  const [root] = normalized.split('/');
+  if (!WRITABLE_ROOTS.includes(root)) {
+    throw new WorkspaceError(403, `Only ${WRITABLE_ROOTS.map((name) => `${name}/`).join(' and ')} are accessible`);
+  }
+  const absolute = path.resolve(projectRoot, normalized);
+  const rootPath = path.resolve(projectRoot, root);
+  if (absolute !== rootPath && !absolute.startsWith(`${rootPath}${path.sep}`)) {
+    throw new WorkspaceError(403, `Path outside the workspace: ${requestedPath}`);
+  }
+  return { absolute, relative: normalized, rootPath };
+}
+
+// Symlinks inside rag/ must not lead back out of it, so the deepest existing ancestor is checked for real.
+async function assertInsideRoot(absolute, rootPath) {
+  let probe = absolute;
+  for (;;) {
+    try {
+      const real = await fs.realpath(probe);
+      const realRoot = await fs.realpath(rootPath).catch(() => rootPath);
+      if (real !== realRoot && !real.startsWith(`${realRoot}${path.sep}`)) {
+        throw new WorkspaceError(403, 'Path resolves outside the workspace');
+      }
+      return;
+    } catch (error) {
+      if (error instanceof WorkspaceError) throw error;
+      const parent = path.dirname(probe);
+      if (parent === probe || probe === rootPath) return;
+      probe = parent;
+    }
+  }
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new WorkspaceError(413, 'Request body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+function sendJson(response, status, payload) {
+  response.statusCode = status;
+  response.setHeader('Content-Type', 'application/json');
+  response.setHeader('Cache-Control', 'no-store');
+  response.end(JSON.stringify(payload));
+}
+
+function isAuthorized(request, token) {
+  const provided = request.headers[TOKEN_HEADER];
+  if (typeof provided !== 'string' || provided.length !== token.length) {
+    return false;
+  }
+  if (!crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(token))) {
+    return false;
+  }
+  // Browsers always send Origin on cross-site writes; it has to match the host we are serving.
+  const { origin, host } = request.headers;
+  if (origin) {
+    try {
+      return new URL(origin).host === host;
+    } catch (error) {
+      return false;
+    }
+  }
+  return true;
+}
+
+async function listDirectory(projectRoot, requestedPath, recursive) {
+  const { absolute, relative, rootPath } = resolveWorkspacePath(projectRoot, requestedPath);
+  await assertInsideRoot(absolute, rootPath);
+  const entries = [];
+  const walk = async (directory, prefix) => {
+    let children;
+    try {
+      children = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    for (const child of children) {
+      if (entries.length >= MAX_LIST_ENTRIES || child.name.startsWith('.')) continue;
+      const childPath = `${prefix}/${child.name}`;
+      if (child.isDirectory()) {
+        entries.push({ path: childPath, type: 'directory' });
+        if (recursive) {
+          await walk(path.join(directory, child.name), childPath);
+        }
+      } else if (child.isFile()) {
+        const stats = await fs.stat(path.join(directory, child.name));
+        entries.push({ path: childPath, type: 'file', size: stats.size, modified: stats.mtimeMs });
+      }
+    }
+  };
+  await walk(absolute, relative);
+  return { path: relative, entries, truncated: entries.length >= MAX_LIST_ENTRIES };
+}
+
+async function handleWorkspaceRequest(request, response, { projectRoot, token }) {
+  const url = new URL(request.url, 'http://localhost');
+  const route = url.pathname.slice(API_PREFIX.length) || '/';
+
+  if (!isAuthorized(request, token)) {
+    throw new WorkspaceError(401, 'Missing or invalid workspace token');
+  }
+
+  if (route === '/status' && request.method === 'GET') {
+    sendJson(response, 200, { ok: true, roots: WRITABLE_ROOTS, maxBodyBytes: MAX_BODY_BYTES });
+    return;
+  }
+
+  if (route === '/list' && request.method === 'GET') {
+    const recursive = url.searchParams.get('recursive') === '1';
+    sendJson(response, 200, await listDirectory(projectRoot, url.searchParams.get('path') || 'rag', recursive));
+    return;
+  }
+
+  if (route !== '/file') {
+    throw new WorkspaceError(404, `Unknown workspace route: ${route}`);
+  }
+
+  const { absolute, relative, rootPath } = resolveWorkspacePath(projectRoot, url.searchParams.get('path'));
+  await assertInsideRoot(absolute, rootPath);
+
+  if (request.method === 'GET') {
+    try {
+      const content = await fs.readFile(absolute);
+      response.statusCode = 200;
+      response.setHeader('Content-Type', 'application/octet-stream');
+      response.setHeader('Cache-Control', 'no-store');
+      response.end(content);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+        throw new WorkspaceError(404, `Not found: ${relative}`);
+      }
+      throw error;
+    }
+    return;
+  }
+
+  if (request.method === 'PUT') {
+    const body = await readBody(request);
+    await fs.mkdir(path.dirname(absolute), { recursive: true });
+    await fs.writeFile(absolute, body);
+    sendJson(response, 200, { ok: true, path: relative, size: body.length });
+    return;
+  }
+
+  if (request.method === 'DELETE') {
+    try {
+      await fs.unlink(absolute);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    sendJson(response, 200, { ok: true, path: relative });
+    return;
+  }
+
+  throw new WorkspaceError(405, `Method ${request.method} not allowed`);
+}
+
+function createWorkspaceMiddleware(options) {
+  return (request, response, next) => {
+    if (!request.url || !request.url.startsWith(API_PREFIX)) {
+      next();
+      return;
+    }
+    handleWorkspaceRequest(request, response, options).catch((error) => {
+      const status = error instanceof WorkspaceError ? error.status : 500;
+      if (status === 500) {
+        console.error('[workspace-api]', error);
+      }
+      sendJson(response, status, { ok: false, error: error.message });
+    });
+  };
+}
+
+function workspaceApiPlugin({ token = process.env.SAM_WORKSPACE_TOKEN } = {}) {
+  const sessionToken = token || crypto.randomBytes(24).toString('hex');
+  let projectRoot = process.cwd();
+  return {
+    name: 'sam-workspace-api',
+    configResolved(config) {
+      projectRoot = config.root;
+    },
+    configureServer(server) {
+      server.middlewares.use(createWorkspaceMiddleware({ projectRoot, token: sessionToken }));
+    },
+    // Production builds must not ship a token; the API only exists while `npm run dev` is serving.
+    transformIndexHtml(html, context) {
+      if (!context.server) return html;
+      return [{ tag: 'meta', attrs: { name: TOKEN_META_NAME, content: sessionToken }, injectTo: 'head' }];
+    }
+  };
+}
+
+module.exports = {
+  workspaceApiPlugin,
+  createWorkspaceMiddleware,
+  resolveWorkspacePath,
+  API_PREFIX,
+  TOKEN_HEADER,
+  TOKEN_META_NAME
+};
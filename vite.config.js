@@ -0,0 +1,13 @@
+import { defineConfig } from 'vite';
+import { workspaceApiPlugin } from './scripts/workspace-api.js';
+
+export default defineConfig({
+  plugins: [workspaceApiPlugin()],
+  // pdf.js 4 uses top-level await, which the default esbuild targets reject.
+  optimizeDeps: {
+    esbuildOptions: { target: 'es2022' }
+  },
+  build: {
+    target: 'es2022'
+  }
+});